@@ -0,0 +1,21 @@
+// backend/src/asset_types.js
+// Sector -> subtypes the seeders give their assets. Scenario template rules target these pairs,
+// so template lint checks rules against them while the DB has no assets yet.
+
+// seed_city.js (generated cities)
+export const SECTOR_SUBTYPES = {
+  electricity: ["substation", "transformer", "mv_node", "lv_node"],
+  water: ["pump_station", "reservoir", "treatment"],
+  gas: ["regulator", "pipeline_node", "storage"],
+  communication: ["cell_tower", "exchange", "fiber_node"],
+  first_responders: ["police", "fire_station", "ems"],
+};
+
+// seed_assets.js (npm run seed)
+export const SEED_ASSET_SUBTYPES = {
+  electricity: ["substation", "transformer", "distribution_node"],
+  water: ["pump_station", "reservoir", "treatment_facility"],
+  gas: ["gas_station", "regulator", "pipeline_node"],
+  communication: ["cell_tower", "fiber_node", "switch"],
+  first_responders: ["police_station", "fire_station", "ems_station"],
+};
@@ -0,0 +1,72 @@
+// backend/src/cyber_lateral.js
+// Lateral movement for CYBER_LATERAL rules: the rule's picks are entry assets, and the compromise
+// then spreads tick by tick over the city's communication links until it is detected and contained.
+
+import { all } from "./db.js";
+
+// Instance hazard_params read by lateral movement (validated by resolveHazardParams)
+export const CYBER_PARAMS = {
+  // Chance per tick that a compromised asset compromises one linked neighbour
+  infection_prob: { default: 0.2, min: 0, max: 1 },
+  // Hours from the first compromise until containment stops further movement
+  detection_delay_hours: { default: 6, min: 0, max: 168 },
+  // 1 = networks segmented per sector: movement cannot cross into another sector (0 = flat network)
+  segmented: { default: 0, min: 0, max: 1 },
+};
+
+/**
+ * Undirected adjacency over the city's active communication dependencies (a link can be abused
+ * in both directions): asset_id -> [{ id, cross_sector }].
+ */
+export async function cityCommsAdjacency(db, city) {
+  const edges = await all(
+    db,
+    `
+    SELECT d.provider_asset_id AS p, d.consumer_asset_id AS c, ap.sector AS p_sector, ac.sector AS c_sector
+    FROM asset_dependencies d
+    JOIN assets ap ON ap.id = d.provider_asset_id
+    JOIN assets ac ON ac.id = d.consumer_asset_id
+    WHERE d.is_active = 1 AND LOWER(d.dependency_type) = 'communication' AND ap.city = ? AND ac.city = ?
+    ORDER BY d.id
+    `,
+    [city, city]
+  );
+
+  const adjacency = new Map();
+  const link = (from, to, cross_sector) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push({ id: to, cross_sector });
+  };
+  for (const e of edges) {
+    const [p, c] = [String(e.p), String(e.c)];
+    if (p === c) continue;
+    const cross = e.p_sector !== e.c_sector;
+    link(p, c, cross);
+    link(c, p, cross);
+  }
+  return adjacency;
+}
+
+/**
+ * Compromise spreading from the entry assets at startTick. Each tick before containment, every
+ * compromised asset tries each uncompromised neighbour once (seeded draws in a fixed order).
+ * Returns [{ id, infected_tick, via }] in infection order (entries first, via = null).
+ */
+export function lateralMovement(entries, { adjacency, startTick, totalTicks, tickMinutes, params, rng }) {
+  const infected = new Map(entries.map((a) => [String(a.id), { id: String(a.id), infected_tick: startTick, via: null }]));
+  const containTick = startTick + Math.ceil((params.detection_delay_hours * 60) / tickMinutes);
+  const lastTick = Math.min(containTick, totalTicks) - 1;
+
+  for (let t = startTick + 1; t <= lastTick; t++) {
+    const spreaders = [...infected.values()].filter((x) => x.infected_tick < t).map((x) => x.id).sort();
+    for (const id of spreaders) {
+      for (const n of adjacency.get(id) || []) {
+        if (infected.has(n.id)) continue;
+        if (params.segmented && n.cross_sector) continue;
+        if (rng() < params.infection_prob) infected.set(n.id, { id: n.id, infected_tick: t, via: id });
+      }
+    }
+  }
+
+  return [...infected.values()];
+}
@@ -1,4 +1,5 @@
 import sqlite3 from "sqlite3";
+import Database from "better-sqlite3";
 import fs from "fs";
 
 sqlite3.verbose();
@@ -34,6 +35,20 @@ export function all(db, sql, params = []) {
   });
 }
 
+// DB file -> better-sqlite3 connection used by writeTransaction
+const WRITERS = new Map();
+
+/**
+ * Runs fn(conn) in one synchronous better-sqlite3 transaction (BEGIN IMMEDIATE) on a connection
+ * of its own and returns fn's result; when fn throws, only its own writes are rolled back.
+ * Statements other requests (or sim runs) send through db meanwhile never land inside it.
+ */
+export function writeTransaction(db, fn) {
+  if (!WRITERS.has(db.filename)) WRITERS.set(db.filename, new Database(db.filename));
+  const conn = WRITERS.get(db.filename);
+  return conn.transaction(() => fn(conn)).immediate();
+}
+
 export async function initSchema(db, schemaPath) {
   const schema = fs.readFileSync(schemaPath, "utf-8");
   const statements = schema
@@ -45,6 +60,21 @@ export async function initSchema(db, schemaPath) {
     await run(db, st);
   }
 }
+
+/**
+ * Adds columns introduced after a table was first created
+ * (CREATE TABLE IF NOT EXISTS never alters an existing table).
+ * columns: { column_name: "TYPE [DEFAULT ...]" }
+ */
+export async function ensureColumns(db, table, columns) {
+  const rows = await all(db, `PRAGMA table_info(${table});`);
+  const existing = new Set(rows.map((r) => r.name));
+
+  for (const [name, ddl] of Object.entries(columns)) {
+    if (existing.has(name)) continue;
+    await run(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${ddl}`);
+  }
+}
 // =========================
 // Structural Dependencies Graph
 // =========================
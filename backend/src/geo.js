@@ -0,0 +1,175 @@
+// backend/src/geo.js
+// Small geodesy helpers shared by city seeding, scenario preparation and the simulation engine.
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (x) => (x * Math.PI) / 180;
+
+export function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Distance (km) from a point to the closest of several anchors; Infinity if none.
+ * Anchors are { lat, lng } points, or carry a Polygon / LineString `geometry` (see geometryDistanceKm).
+ */
+export function nearestAnchorKm(point, anchors) {
+  let best = Infinity;
+  for (const a of anchors) {
+    const d = a.geometry
+      ? geometryDistanceKm(point, a.geometry)
+      : haversineKm(a.lat, a.lng, Number(point.lat), Number(point.lng));
+    best = Math.min(best, d);
+  }
+  return best;
+}
+
+/**
+ * Point-in-polygon helpers (GeoJSON uses [lng, lat]).
+ * Ray casting.
+ */
+export function pointInRing(point, ring) {
+  const x = point.lng;
+  const y = point.lat;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+
+    const intersect =
+      (yi > y) !== (yj > y) &&
+      x < ((xj - xi) * (y - yi)) / (yj - yi + 0.0) + xi;
+
+    if (intersect) inside = !inside;
+  }
+
+  return inside;
+}
+
+export function polygonContainsPoint(point, poly) {
+  // poly = [outerRing, hole1, hole2,...]
+  const outer = poly[0];
+  if (!outer || outer.length < 3) return false;
+
+  if (!pointInRing(point, outer)) return false;
+
+  // holes: if inside any hole -> reject
+  for (let h = 1; h < poly.length; h++) {
+    const hole = poly[h];
+    if (hole && hole.length >= 3 && pointInRing(point, hole)) return false;
+  }
+  return true;
+}
+
+export function pointInGeoJSON(point, geojson) {
+  if (!geojson || !geojson.type || !geojson.coordinates) return true;
+
+  if (geojson.type === "Polygon") return polygonContainsPoint(point, geojson.coordinates);
+
+  if (geojson.type === "MultiPolygon") {
+    for (const poly of geojson.coordinates) {
+      if (polygonContainsPoint(point, poly)) return true;
+    }
+    return false;
+  }
+
+  // Unknown type -> accept (fail-open)
+  return true;
+}
+
+/**
+ * Distance (km) from a point to a polyline given as GeoJSON positions.
+ * Segments are flattened around the point (equirectangular), which is accurate at city scale.
+ */
+export function pointToLineKm(point, positions) {
+  const lat0 = Number(point.lat);
+  const lng0 = Number(point.lng);
+  const kx = EARTH_RADIUS_KM * toRad(1) * Math.cos(toRad(lat0));
+  const ky = EARTH_RADIUS_KM * toRad(1);
+  const xy = positions.map(([lng, lat]) => [(lng - lng0) * kx, (lat - lat0) * ky]);
+
+  if (xy.length === 1) return Math.hypot(xy[0][0], xy[0][1]);
+
+  let best = Infinity;
+  for (let i = 1; i < xy.length; i++) {
+    const [ax, ay] = xy[i - 1];
+    const [bx, by] = xy[i];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return best;
+}
+
+/**
+ * Distance (km) from a point to an anchor shape: 0 inside a Polygon, else to its nearest edge;
+ * to the nearest segment of a LineString.
+ */
+export function geometryDistanceKm(point, geometry) {
+  if (geometry.type === "Polygon") {
+    if (polygonContainsPoint({ lat: Number(point.lat), lng: Number(point.lng) }, geometry.coordinates)) return 0;
+    return Math.min(...geometry.coordinates.map((ring) => pointToLineKm(point, ring)));
+  }
+  return pointToLineKm(point, geometry.coordinates);
+}
+
+const validPosition = (p) =>
+  Array.isArray(p) &&
+  Number.isFinite(Number(p[0])) && Math.abs(Number(p[0])) <= 180 &&
+  Number.isFinite(Number(p[1])) && Math.abs(Number(p[1])) <= 90;
+
+/**
+ * Accepts a GeoJSON Polygon or LineString (or a Feature wrapping one) drawn as an anchor.
+ * Returns { geometry } with numeric positions and closed rings, or { error }.
+ */
+export function normalizeAnchorGeometry(input) {
+  const g = input?.type === "Feature" ? input.geometry : input;
+  if (!g || typeof g !== "object") return { error: "geometry must be a GeoJSON Polygon or LineString" };
+
+  const toPositions = (list) => list.map((p) => [Number(p[0]), Number(p[1])]);
+
+  if (g.type === "LineString") {
+    const line = Array.isArray(g.coordinates) ? g.coordinates : [];
+    if (line.length < 2 || !line.every(validPosition)) {
+      return { error: "LineString needs at least 2 [lng, lat] positions" };
+    }
+    return { geometry: { type: "LineString", coordinates: toPositions(line) } };
+  }
+
+  if (g.type === "Polygon") {
+    const rings = Array.isArray(g.coordinates) ? g.coordinates : [];
+    if (!rings.length) return { error: "Polygon needs an outer ring" };
+    const closed = [];
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || !ring.every(validPosition)) {
+        return { error: "Polygon rings must be lists of [lng, lat] positions" };
+      }
+      const r = toPositions(ring);
+      const [first, last] = [r[0], r[r.length - 1]];
+      if (r.length && (first[0] !== last[0] || first[1] !== last[1])) r.push([...first]);
+      if (r.length < 4) return { error: "Polygon rings need at least 3 distinct positions" };
+      closed.push(r);
+    }
+    return { geometry: { type: "Polygon", coordinates: closed } };
+  }
+
+  return { error: `Unsupported geometry type: ${g.type}` };
+}
+
+/**
+ * Representative { lat, lng } of an anchor shape (vertex average of the line / outer ring),
+ * stored alongside the geometry so point-based consumers still have a location.
+ */
+export function geometryCenter(geometry) {
+  const pts = geometry.type === "Polygon" ? geometry.coordinates[0].slice(0, -1) : geometry.coordinates;
+  const lng = pts.reduce((s, p) => s + p[0], 0) / pts.length;
+  const lat = pts.reduce((s, p) => s + p[1], 0) / pts.length;
+  return { lat, lng };
+}
@@ -0,0 +1,153 @@
+// backend/src/graph_centrality.js
+// Centrality over a city's active asset_dependencies (directed provider -> consumer),
+// used by GRAPH_CENTRALITY rules to target the truly central nodes.
+
+import crypto from "crypto";
+import { all } from "./db.js";
+
+export const CENTRALITY_METRICS = ["BETWEENNESS", "OUT_DEGREE", "DOWNSTREAM_REACH"];
+export const DEFAULT_CENTRALITY_METRIC = "BETWEENNESS";
+
+export function normalizeCentralityMetric(value) {
+  const metric = String(value || "").trim().toUpperCase();
+  return CENTRALITY_METRICS.includes(metric) ? metric : DEFAULT_CENTRALITY_METRIC;
+}
+
+/**
+ * provider -> [consumer] adjacency (deduplicated; parallel feeds count once).
+ */
+function buildAdjacency(edges) {
+  const out = new Map();
+  for (const { provider_asset_id: p, consumer_asset_id: c } of edges) {
+    if (p === c) continue;
+    if (!out.has(p)) out.set(p, new Set());
+    if (!out.has(c)) out.set(c, new Set());
+    out.get(p).add(c);
+  }
+  return out;
+}
+
+/**
+ * Brandes betweenness for an unweighted directed graph: for every node, the number of
+ * shortest paths between other pairs that pass through it (fractional when paths tie).
+ */
+export function betweennessCentrality(adjacency) {
+  const nodes = [...adjacency.keys()];
+  const score = new Map(nodes.map((v) => [v, 0]));
+
+  for (const s of nodes) {
+    const stack = [];
+    const preds = new Map(nodes.map((v) => [v, []]));
+    const sigma = new Map(nodes.map((v) => [v, 0]));
+    const dist = new Map();
+    sigma.set(s, 1);
+    dist.set(s, 0);
+
+    const queue = [s];
+    for (let i = 0; i < queue.length; i++) {
+      const v = queue[i];
+      stack.push(v);
+      for (const w of adjacency.get(v)) {
+        if (!dist.has(w)) {
+          dist.set(w, dist.get(v) + 1);
+          queue.push(w);
+        }
+        if (dist.get(w) === dist.get(v) + 1) {
+          sigma.set(w, sigma.get(w) + sigma.get(v));
+          preds.get(w).push(v);
+        }
+      }
+    }
+
+    const delta = new Map(nodes.map((v) => [v, 0]));
+    while (stack.length) {
+      const w = stack.pop();
+      for (const v of preds.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+      }
+      if (w !== s) score.set(w, score.get(w) + delta.get(w));
+    }
+  }
+
+  return score;
+}
+
+export function outDegreeCentrality(adjacency) {
+  return new Map([...adjacency].map(([v, consumers]) => [v, consumers.size]));
+}
+
+/**
+ * Number of assets reachable downstream (direct and indirect consumers).
+ */
+export function downstreamReachCentrality(adjacency) {
+  const reach = new Map();
+  for (const s of adjacency.keys()) {
+    const seen = new Set([s]);
+    const queue = [s];
+    for (let i = 0; i < queue.length; i++) {
+      for (const w of adjacency.get(queue[i])) {
+        if (seen.has(w)) continue;
+        seen.add(w);
+        queue.push(w);
+      }
+    }
+    reach.set(s, seen.size - 1);
+  }
+  return reach;
+}
+
+const CENTRALITY_FNS = {
+  BETWEENNESS: betweennessCentrality,
+  OUT_DEGREE: outDegreeCentrality,
+  DOWNSTREAM_REACH: downstreamReachCentrality,
+};
+
+// city -> { fingerprint, adjacency, scores: { metric: Map } }
+const CENTRALITY_CACHE = new Map();
+
+const CITY_DEPS_WHERE = `
+  FROM asset_dependencies d
+  JOIN assets ap ON ap.id = d.provider_asset_id
+  JOIN assets ac ON ac.id = d.consumer_asset_id
+  WHERE d.is_active = 1 AND ap.city = ? AND ac.city = ?
+`;
+
+/**
+ * Hash of the city's active dependency edges (provider -> consumer pairs): changes whenever an
+ * edge is added, removed, toggled via is_active or re-pointed to other assets.
+ */
+function dependencyFingerprint(edges) {
+  const lines = edges.map((e) => `${e.provider_asset_id}|${e.consumer_asset_id}`).sort();
+  return crypto.createHash("sha1").update(lines.join("\n")).digest("hex");
+}
+
+/**
+ * Scores for one metric over the city's dependency graph: Map asset_id -> score
+ * (assets without dependencies are absent = 0). Cached per city until the graph changes.
+ */
+export async function cityCentrality(db, city, metric = DEFAULT_CENTRALITY_METRIC) {
+  const key = normalizeCentralityMetric(metric);
+  const edges = await all(db, `SELECT d.provider_asset_id, d.consumer_asset_id ${CITY_DEPS_WHERE}`, [city, city]);
+  const fingerprint = dependencyFingerprint(edges);
+
+  let entry = CENTRALITY_CACHE.get(city);
+  if (!entry || entry.fingerprint !== fingerprint) {
+    entry = { fingerprint, adjacency: buildAdjacency(edges), scores: {} };
+    CENTRALITY_CACHE.set(city, entry);
+  }
+
+  if (!entry.scores[key]) entry.scores[key] = CENTRALITY_FNS[key](entry.adjacency);
+  return entry.scores[key];
+}
+
+/**
+ * Candidates ordered most central first; ties fall back to criticality, then id (deterministic).
+ */
+export function rankByCentrality(candidates, scores) {
+  return candidates.slice().sort(
+    (x, y) =>
+      (scores.get(String(y.id)) || 0) - (scores.get(String(x.id)) || 0) ||
+      Number(y.criticality || 0) - Number(x.criticality || 0) ||
+      String(x.id).localeCompare(String(y.id))
+  );
+}
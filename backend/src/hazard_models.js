@@ -0,0 +1,97 @@
+// backend/src/hazard_models.js
+// Hazard intensity fields for GEO_RADIUS rules (rule column intensity_model).
+// A model turns distance from the rule's anchors into an intensity, and intensity into a
+// severity in 0..1 that drives both the damage probability and how far performance drops.
+
+import { nearestAnchorKm } from "./geo.js";
+import { SPREAD_PARAMS } from "./hazard_spread.js";
+import { CYBER_PARAMS } from "./cyber_lateral.js";
+import { WORKFORCE_PARAMS } from "./workforce.js";
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+export const HAZARD_MODELS = {
+  // Distance-decay attenuation of shaking (Modified Mercalli Intensity) from an epicenter,
+  // I = 3.67 + 1.17 M - 3.19 log10(R), R = hypocentral distance in km.
+  EQ_ATTENUATION: {
+    unit: "MMI",
+    params: {
+      magnitude: { default: 6.4, min: 3, max: 9.5 },
+      depth_km: { default: 10, min: 0, max: 700 },
+    },
+    intensity(distanceKm, p) {
+      const r = Math.max(1, Math.hypot(distanceKm, p.depth_km));
+      return 3.67 + 1.17 * p.magnitude - 3.19 * Math.log10(r);
+    },
+    // Damage starts around MMI V; IX and above is treated as the rule's full damage
+    severity: (mmi) => clamp01((mmi - 5) / 4),
+  },
+
+  // Water depth that falls off exponentially away from the nearest flood pocket.
+  FLOOD_DEPTH: {
+    unit: "m",
+    params: {
+      peak_depth_m: { default: 2, min: 0.1, max: 15 },
+      decay_km: { default: 2, min: 0.1, max: 50 },
+    },
+    intensity: (distanceKm, p) => p.peak_depth_m * Math.exp(-distanceKm / p.decay_km),
+    // Ankle-deep water is harmless; 1.5 m floods plant rooms and cabinets
+    severity: (depthM) => clamp01((depthM - 0.1) / 1.4),
+  },
+};
+
+export const HAZARD_MODEL_NAMES = Object.keys(HAZARD_MODELS);
+
+// Instance hazard_params that resize the footprint of every anchored rule
+export const FOOTPRINT_PARAMS = {
+  // geo_param_1_km (GEO_RADIUS radius, GEO_AREA buffer) as % of the template's value
+  radius_scale_pct: { default: 100, min: 25, max: 400 },
+};
+
+/**
+ * Validates instance hazard_params against every intensity / footprint / spread / lateral movement / workforce
+ * parameter and fills defaults.
+ * Returns { params } or { error }.
+ */
+export function resolveHazardParams(input = {}) {
+  const params = {};
+  const specs = [
+    ...Object.values(HAZARD_MODELS).map((m) => m.params),
+    FOOTPRINT_PARAMS,
+    SPREAD_PARAMS,
+    CYBER_PARAMS,
+    WORKFORCE_PARAMS,
+  ];
+  for (const [name, spec] of specs.flatMap((p) => Object.entries(p))) {
+    const raw = input?.[name];
+    if (raw === undefined || raw === null || raw === "") {
+      params[name] = spec.default;
+      continue;
+    }
+    const v = Number(raw);
+    if (!Number.isFinite(v) || v < spec.min || v > spec.max) {
+      return { error: `hazard_params.${name} must be a number between ${spec.min} and ${spec.max}` };
+    }
+    params[name] = v;
+  }
+  return { params };
+}
+
+/**
+ * Intensity at an asset from the closest anchor, and the resulting severity (0..1).
+ */
+export function assetHazard(modelName, asset, anchors, params) {
+  const model = HAZARD_MODELS[modelName];
+  const intensity = model.intensity(nearestAnchorKm(asset, anchors), params);
+  return { intensity: Math.round(intensity * 100) / 100, severity: model.severity(intensity) };
+}
+
+/**
+ * Performance after damage scaled by severity: severity 1 reaches the rule's performance_pct.
+ */
+export function damagedPerformance(rulePerformancePct, severity) {
+  const floor = Math.max(0, Math.min(100, Number(rulePerformancePct)));
+  return Math.round(100 - (100 - floor) * severity);
+}
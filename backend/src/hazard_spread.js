@@ -0,0 +1,144 @@
+// backend/src/hazard_spread.js
+// Spreading hazards (rule column spread_model). Instead of a footprint fixed at prepare time,
+// the hazard grows from the rule's anchors at a rate in km/h, faster downwind. IMPACT events are
+// timed to when the front reaches each asset, and the engine reports the front for playback.
+
+import { haversineKm, polygonContainsPoint } from "./geo.js";
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (x) => (x * Math.PI) / 180;
+const toDeg = (x) => (x * 180) / Math.PI;
+
+export const SPREAD_MODELS = {
+  FIRE_SPREAD: { rate_param: "fire_spread_kmh" },
+  FLOOD_SPREAD: { rate_param: "flood_spread_kmh" },
+};
+
+export const SPREAD_MODEL_NAMES = Object.keys(SPREAD_MODELS);
+
+// Instance hazard_params read by the spread models (validated by resolveHazardParams)
+export const SPREAD_PARAMS = {
+  fire_spread_kmh: { default: 1, min: 0.05, max: 20 },
+  flood_spread_kmh: { default: 0.8, min: 0.05, max: 20 },
+  // Direction the wind blows towards (0 = north, clockwise)
+  wind_bearing_deg: { default: 0, min: 0, max: 360 },
+  // 0 = spreads evenly; 0.9 = almost only downwind (upwind rate = 1 - bias, downwind = 1 + bias)
+  wind_bias: { default: 0, min: 0, max: 0.9 },
+};
+
+// Lines and polygon edges ignite along their whole length: sample them this densely
+const SOURCE_SPACING_KM = 0.25;
+const FRONT_BEARINGS = 36;
+
+const SOURCES_CACHE = new WeakMap();
+
+/**
+ * Points the hazard spreads from ([lng, lat]): the anchor point, or a drawn line / polygon edge
+ * sampled every SOURCE_SPACING_KM.
+ */
+function anchorSources(anchor) {
+  if (!anchor.geometry) return [[Number(anchor.lng), Number(anchor.lat)]];
+  if (SOURCES_CACHE.has(anchor)) return SOURCES_CACHE.get(anchor);
+
+  const lines = anchor.geometry.type === "Polygon" ? anchor.geometry.coordinates : [anchor.geometry.coordinates];
+  const out = [];
+  for (const line of lines) {
+    for (let i = 1; i < line.length; i++) {
+      const [a, b] = [line[i - 1], line[i]];
+      const n = Math.max(1, Math.ceil(haversineKm(a[1], a[0], b[1], b[0]) / SOURCE_SPACING_KM));
+      for (let k = 0; k < n; k++) {
+        out.push([a[0] + ((b[0] - a[0]) * k) / n, a[1] + ((b[1] - a[1]) * k) / n]);
+      }
+    }
+    out.push(line[line.length - 1]);
+  }
+  SOURCES_CACHE.set(anchor, out);
+  return out;
+}
+
+function bearingDeg([lng1, lat1], [lng2, lat2]) {
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+function destination([lng, lat], bearing, km) {
+  const d = km / EARTH_RADIUS_KM;
+  const b = toRad(bearing);
+  return [lng + toDeg((d * Math.sin(b)) / Math.cos(toRad(lat))), lat + toDeg(d * Math.cos(b))];
+}
+
+/**
+ * Spread rate (km/h) towards a bearing.
+ */
+function directionalRate(modelName, bearing, params) {
+  const rate = Number(params[SPREAD_MODELS[modelName].rate_param]);
+  return rate * (1 + params.wind_bias * Math.cos(toRad(bearing - params.wind_bearing_deg)));
+}
+
+/**
+ * Hours until the front coming from any of the anchors reaches the point (0 inside a drawn polygon).
+ */
+export function spreadArrivalHours(modelName, point, anchors, params) {
+  const target = [Number(point.lng), Number(point.lat)];
+  let best = Infinity;
+
+  for (const a of anchors) {
+    if (a.geometry?.type === "Polygon" && polygonContainsPoint({ lat: target[1], lng: target[0] }, a.geometry.coordinates)) {
+      return 0;
+    }
+    for (const s of anchorSources(a)) {
+      const km = haversineKm(s[1], s[0], target[1], target[0]);
+      const hours = km > 0 ? km / directionalRate(modelName, bearingDeg(s, target), params) : 0;
+      best = Math.min(best, hours);
+    }
+  }
+  return best;
+}
+
+/**
+ * Convex hull ([lng, lat] positions, planar: fine at city scale), counter-clockwise.
+ */
+function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Footprint of one anchor after `hours` of spreading (capped at maxKm), as a GeoJSON Polygon
+ * hulling the reach around each of its source points. Null before there is an area to draw.
+ */
+export function spreadFront(modelName, anchor, params, hours, maxKm) {
+  if (!(hours >= 0)) return null;
+
+  const points = [];
+  for (const s of anchorSources(anchor)) {
+    points.push(s);
+    for (let i = 0; i < FRONT_BEARINGS; i++) {
+      const bearing = (360 * i) / FRONT_BEARINGS;
+      const km = Math.min(maxKm, directionalRate(modelName, bearing, params) * hours);
+      if (km > 0) points.push(destination(s, bearing, km));
+    }
+  }
+
+  const hull = convexHull(points).map(([lng, lat]) => [Math.round(lng * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5]);
+  if (hull.length < 3) return null;
+  return { type: "Polygon", coordinates: [[...hull, hull[0]]] };
+}
@@ -6,6 +6,7 @@ CREATE TABLE IF NOT EXISTS scenario_templates (
   hazard_type   TEXT NOT NULL,
   version       INTEGER NOT NULL DEFAULT 1,
   is_active     INTEGER NOT NULL DEFAULT 1,
+  source        TEXT NOT NULL DEFAULT 'CSV',
   created_at    TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at    TEXT
 );
@@ -18,7 +19,7 @@ CREATE TABLE IF NOT EXISTS scenario_template_rules (
   time_pct          REAL NOT NULL,              -- 0..100 (percent of scenario duration)
   time_jitter_pct   REAL NOT NULL DEFAULT 0,    -- optional jitter in percent
 
-  selection_scope   TEXT NOT NULL,              -- GEO_RADIUS | GEO_SCATTER | GRAPH_CENTRALITY
+  selection_scope   TEXT NOT NULL,              -- GEO_RADIUS | GEO_AREA | GEO_SCATTER | GRAPH_CENTRALITY | CYBER_LATERAL
   sector            TEXT NOT NULL,
   subtype           TEXT NOT NULL,
 
@@ -32,7 +33,10 @@ CREATE TABLE IF NOT EXISTS scenario_template_rules (
   repair_time_max   INTEGER,                    -- minutes (nullable)
 
   geo_anchor        TEXT NOT NULL DEFAULT 'CITY_CENTER', -- EPICENTER | CITY_CENTER | FLOOD_POCKET | FIRE_FRONT | ...
-  geo_param_1_km    REAL NOT NULL DEFAULT 0,             -- radius/param in km when relevant
+  geo_param_1_km    REAL NOT NULL DEFAULT 0,             -- radius (GEO_RADIUS) / buffer (GEO_AREA) in km when relevant
+  centrality_metric TEXT,                                -- GRAPH_CENTRALITY: BETWEENNESS (default) | OUT_DEGREE | DOWNSTREAM_REACH
+  intensity_model   TEXT,                                -- GEO_RADIUS impacts: EQ_ATTENUATION | FLOOD_DEPTH (NULL = flat disc)
+  spread_model      TEXT,                                -- anchored impacts: FIRE_SPREAD | FLOOD_SPREAD (NULL = all at time_pct)
 
   priority          INTEGER NOT NULL DEFAULT 5,
   notes             TEXT,
@@ -51,3 +55,16 @@ CREATE INDEX IF NOT EXISTS idx_str_template_rules_sector_subtype
 
 CREATE INDEX IF NOT EXISTS idx_str_template_rules_template_time
   ON scenario_template_rules(template_id, time_pct);
+
+CREATE TABLE IF NOT EXISTS scenario_template_versions (
+  template_id   TEXT NOT NULL,
+  version       INTEGER NOT NULL,
+  template_name TEXT NOT NULL,
+  hazard_type   TEXT NOT NULL,
+  rules_json    TEXT NOT NULL,                    -- all rules of the version (disabled ones too), by rule_id
+  source        TEXT NOT NULL DEFAULT 'CSV',      -- CSV load | API edit
+  created_at    TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (template_id, version),
+  FOREIGN KEY (template_id) REFERENCES scenario_templates(template_id) ON DELETE CASCADE
+);
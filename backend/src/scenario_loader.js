@@ -10,12 +10,16 @@
  *   SCENARIO_TEMPLATES_DIR   default: ./src/scenarios
  *   SCENARIO_MIGRATION_SQL  default: ./src/migrate_scenarios.sql
  *   SCENARIO_AUTOLOAD       default: "1" (set to "0" to disable)
+ *
+ * Every file is linted first (template_validator.js): a file with errors is not loaded.
  */
 
 import fs from "fs";
 import path from "path";
 import Database from "better-sqlite3";
 import { parse } from "csv-parse/sync";
+import { RULE_FIELDS, normalizeRule, storeTemplateVersion } from "./template_store.js";
+import { knownAssetTypes, lintHeaders, lintTemplateRows } from "./template_validator.js";
 
 function asBool(v, def = true) {
   if (v === undefined || v === null || v === "") return def;
@@ -25,31 +29,79 @@ function asBool(v, def = true) {
   return def;
 }
 
-function toInt(v, def = null) {
-  if (v === undefined || v === null || String(v).trim() === "") return def;
-  return Math.trunc(Number(v));
-}
-function toFloat(v, def = 0) {
-  if (v === undefined || v === null || String(v).trim() === "") return def;
-  return Number(v);
-}
 function normStr(v, def = "") {
   if (v === undefined || v === null) return def;
   return String(v).trim();
 }
 
-const REQUIRED_COLS = [
-  "template_id","template_name","hazard_type","rule_id","event_kind",
-  "time_pct","time_jitter_pct","selection_scope","sector","subtype",
-  "target_mode","target_value","allow_reuse_asset",
-  "performance_pct","repair_time_min","repair_time_max",
-  "geo_anchor","geo_param_1_km","priority","notes"
-];
-
-function validateHeaders(row0) {
-  for (const c of REQUIRED_COLS) {
-    if (!(c in row0)) throw new Error(`Missing column in CSV: ${c}`);
+function templateCsvFiles(absDir) {
+  return fs.readdirSync(absDir)
+    .filter((f) => f.toLowerCase().endsWith(".csv"))
+    .map((f) => path.join(absDir, f))
+    .sort();
+}
+
+/**
+ * Parses and lints one template CSV: { rows, report } (report: lintTemplateRows + file name).
+ */
+function lintTemplateFile(file, assetTypes) {
+  const csvText = fs.readFileSync(file, "utf8");
+  const rows = parse(csvText, { columns: true, skip_empty_lines: true, trim: true });
+  const headerIssues = rows.length ? lintHeaders(rows[0]) : [];
+  const report = headerIssues.length
+    ? { ok: false, errors: headerIssues.length, warnings: 0, rules_checked: 0, issues: headerIssues }
+    : lintTemplateRows(rows, { assetTypes });
+  return { rows, report: { file: path.basename(file), ...report } };
+}
+
+function logLintReport(report, maxLines = 20) {
+  if (!report.issues.length) return;
+  const log = report.ok ? console.log : console.warn;
+  log(`[scenarios] Lint ${report.file}: ${report.errors} errors, ${report.warnings} warnings`);
+  for (const i of report.issues.slice(0, maxLines)) {
+    const where = i.index === undefined ? "header" : `line ${i.index + 2} ${i.rule_id}`;
+    log(`[scenarios]   ${i.level} ${where}: ${i.message}`);
+  }
+  if (report.issues.length > maxLines) log(`[scenarios]   ... and ${report.issues.length - maxLines} more`);
+}
+
+function assetPairs(db) {
+  const hasAssets = db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='assets'`).get();
+  return hasAssets ? db.prepare(`SELECT DISTINCT sector, subtype FROM assets`).all() : [];
+}
+
+/**
+ * Lint reports of the template CSVs on disk (what the next startup would load or refuse).
+ * assetPairsInDb: [{ sector, subtype }] of the assets in the DB.
+ */
+export function lintScenarioTemplateFiles(assetPairsInDb = []) {
+  const absDir = path.resolve(process.env.SCENARIO_TEMPLATES_DIR || "./src/scenarios");
+  if (!fs.existsSync(absDir)) return [];
+  const assetTypes = knownAssetTypes(assetPairsInDb);
+  return templateCsvFiles(absDir).map((file) => lintTemplateFile(file, assetTypes).report);
+}
+
+// Columns added after the first release; DBs created earlier lack them
+function ensureRuleColumns(db) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(scenario_template_rules)`).all().map((c) => c.name));
+  for (const col of ["centrality_metric", "intensity_model", "spread_model"]) {
+    if (!existing.has(col)) db.exec(`ALTER TABLE scenario_template_rules ADD COLUMN ${col} TEXT`);
   }
+  const templateCols = new Set(db.prepare(`PRAGMA table_info(scenario_templates)`).all().map((c) => c.name));
+  if (!templateCols.has("source")) db.exec(`ALTER TABLE scenario_templates ADD COLUMN source TEXT NOT NULL DEFAULT 'CSV'`);
+}
+
+function syncTemplateVersions(db) {
+  const templates = db.prepare(`SELECT template_id FROM scenario_templates`);
+
+  return db.transaction(() => {
+    const versioned = [];
+    for (const { template_id } of templates.all()) {
+      const version = storeTemplateVersion(db, template_id);
+      if (version !== null) versioned.push({ template_id, version });
+    }
+    return versioned;
+  })();
 }
 
 export function loadScenarioTemplatesAuto(dbPath) {
@@ -75,10 +127,7 @@ export function loadScenarioTemplatesAuto(dbPath) {
     return { loadedFiles: 0, loadedRules: 0, loadedTemplates: 0 };
   }
 
-  const files = fs.readdirSync(absDir)
-    .filter((f) => f.toLowerCase().endsWith(".csv"))
-    .map((f) => path.join(absDir, f))
-    .sort();
+  const files = templateCsvFiles(absDir);
 
   if (!files.length) {
     console.log(`[scenarios] No CSV templates found in ${absDir}.`);
@@ -90,14 +139,14 @@ export function loadScenarioTemplatesAuto(dbPath) {
 
   console.log(`[scenarios] Running migration: ${absMig}`);
   db.exec(fs.readFileSync(absMig, "utf8"));
+  ensureRuleColumns(db);
 
   const upsertTemplate = db.prepare(`
     INSERT INTO scenario_templates (template_id, template_name, hazard_type, version, updated_at)
-    VALUES (@template_id, @template_name, @hazard_type, @version, CURRENT_TIMESTAMP)
+    VALUES (@template_id, @template_name, @hazard_type, 1, CURRENT_TIMESTAMP)
     ON CONFLICT(template_id) DO UPDATE SET
       template_name=excluded.template_name,
       hazard_type=excluded.hazard_type,
-      version=excluded.version,
       updated_at=CURRENT_TIMESTAMP
   `);
 
@@ -109,7 +158,7 @@ export function loadScenarioTemplatesAuto(dbPath) {
       target_mode, target_value,
       allow_reuse_asset,
       performance_pct, repair_time_min, repair_time_max,
-      geo_anchor, geo_param_1_km,
+      geo_anchor, geo_param_1_km, centrality_metric, intensity_model, spread_model,
       priority, notes, enabled
     ) VALUES (
       @rule_id, @template_id,
@@ -118,7 +167,7 @@ export function loadScenarioTemplatesAuto(dbPath) {
       @target_mode, @target_value,
       @allow_reuse_asset,
       @performance_pct, @repair_time_min, @repair_time_max,
-      @geo_anchor, @geo_param_1_km,
+      @geo_anchor, @geo_param_1_km, @centrality_metric, @intensity_model, @spread_model,
       @priority, @notes, 1
     )
     ON CONFLICT(rule_id) DO UPDATE SET
@@ -137,6 +186,9 @@ export function loadScenarioTemplatesAuto(dbPath) {
       repair_time_max=excluded.repair_time_max,
       geo_anchor=excluded.geo_anchor,
       geo_param_1_km=excluded.geo_param_1_km,
+      centrality_metric=excluded.centrality_metric,
+      intensity_model=excluded.intensity_model,
+      spread_model=excluded.spread_model,
       priority=excluded.priority,
       notes=excluded.notes,
       enabled=1
@@ -146,63 +198,66 @@ export function loadScenarioTemplatesAuto(dbPath) {
   let loadedRules = 0;
   let loadedTemplates = 0;
 
+  // Templates edited through the template API since: the DB copy wins over the file
+  const templateSource = db.prepare(`SELECT source FROM scenario_templates WHERE template_id=?`);
+
   const tx = db.transaction((rows) => {
     const seen = new Set();
+    const apiOwned = new Set();
     for (const r of rows) {
       const tid = normStr(r.template_id);
       if (seen.has(tid)) continue;
       seen.add(tid);
+      if (templateSource.get(tid)?.source === "API") {
+        apiOwned.add(tid);
+        continue;
+      }
       upsertTemplate.run({
         template_id: tid,
         template_name: normStr(r.template_name, tid),
         hazard_type: normStr(r.hazard_type),
-        version: 1,
       });
     }
-    loadedTemplates += seen.size;
+    loadedTemplates += seen.size - apiOwned.size;
 
     for (const r of rows) {
-      upsertRule.run({
-        rule_id: normStr(r.rule_id),
-        template_id: normStr(r.template_id),
-        event_kind: normStr(r.event_kind),
-        time_pct: toFloat(r.time_pct),
-        time_jitter_pct: toFloat(r.time_jitter_pct, 0),
-
-        selection_scope: normStr(r.selection_scope),
-        sector: normStr(r.sector),
-        subtype: normStr(r.subtype),
-
-        target_mode: normStr(r.target_mode),
-        target_value: toFloat(r.target_value),
-
-        allow_reuse_asset: toInt(r.allow_reuse_asset, 0),
-
-        performance_pct: toInt(r.performance_pct, 100),
-        repair_time_min: toInt(r.repair_time_min, null),
-        repair_time_max: toInt(r.repair_time_max, null),
-
-        geo_anchor: normStr(r.geo_anchor, "CITY_CENTER"),
-        geo_param_1_km: toFloat(r.geo_param_1_km, 0),
-
-        priority: toInt(r.priority, 5),
-        notes: normStr(r.notes, ""),
-      });
+      if (apiOwned.has(normStr(r.template_id))) continue;
+      upsertRule.run(normalizeRule(r).rule);
       loadedRules += 1;
     }
+
+    return apiOwned;
   });
 
+  // Files with lint errors are refused whole (their templates keep what was loaded before)
+  const assetTypes = knownAssetTypes(assetPairs(db));
+  const lint = [];
+  let rejectedFiles = 0;
+
   for (const file of files) {
-    const csvText = fs.readFileSync(file, "utf8");
-    const rows = parse(csvText, { columns: true, skip_empty_lines: true, trim: true });
+    const { rows, report } = lintTemplateFile(file, assetTypes);
+    lint.push(report);
+    logLintReport(report);
+    if (!report.ok) {
+      rejectedFiles += 1;
+      console.warn(`[scenarios] Not loaded: ${report.file} (${report.errors} errors)`);
+      continue;
+    }
     if (!rows.length) continue;
 
-    validateHeaders(rows[0]);
-    tx(rows);
+    const apiOwned = tx(rows);
     loadedFiles += 1;
     console.log(`[scenarios] Loaded: ${path.basename(file)} (${rows.length} rules)`);
+    for (const tid of apiOwned) {
+      console.log(`[scenarios] ${tid} was edited through the API; its CSV rows are ignored.`);
+    }
   }
 
+  // A new version for every template whose content differs from its latest snapshot
+  // (the first load of a template, or of a DB created before versions, stores version 1)
+  const versioned = syncTemplateVersions(db);
+  for (const v of versioned) console.log(`[scenarios] ${v.template_id} is now version ${v.version}`);
+
   // Quick sanity output
   const counts = db.prepare(`
     SELECT template_id, COUNT(*) AS rules_count
@@ -214,5 +269,5 @@ export function loadScenarioTemplatesAuto(dbPath) {
   console.table(counts);
 
   db.close();
-  return { loadedFiles, loadedRules, loadedTemplates };
+  return { loadedFiles, loadedRules, loadedTemplates, rejectedFiles, lint };
 }
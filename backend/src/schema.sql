@@ -77,6 +77,7 @@ CREATE TABLE IF NOT EXISTS scenario_templates (
   hazard_type TEXT NOT NULL,
   version INTEGER DEFAULT 1,
   is_active INTEGER DEFAULT 1,
+  source TEXT NOT NULL DEFAULT 'CSV',   -- CSV = owned by its scenarios/*.csv file, API = edited via /api/scenario/template*
   updated_at TEXT DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -86,7 +87,7 @@ CREATE TABLE IF NOT EXISTS scenario_template_rules (
   event_kind TEXT NOT NULL,                 -- IMPACT | REPAIR
   time_pct REAL NOT NULL,                   -- % of scenario duration
   time_jitter_pct REAL NOT NULL DEFAULT 0,  -- optional jitter
-  selection_scope TEXT NOT NULL,            -- GEO_RADIUS | GEO_SCATTER | GRAPH_CENTRALITY ...
+  selection_scope TEXT NOT NULL,            -- GEO_RADIUS | GEO_AREA | GEO_SCATTER | GRAPH_CENTRALITY | CYBER_LATERAL ...
   sector TEXT NOT NULL,
   subtype TEXT NOT NULL,
   target_mode TEXT NOT NULL,                -- PCT | COUNT
@@ -97,6 +98,9 @@ CREATE TABLE IF NOT EXISTS scenario_template_rules (
   repair_time_max INTEGER,
   geo_anchor TEXT NOT NULL DEFAULT 'CITY_CENTER',
   geo_param_1_km REAL NOT NULL DEFAULT 0,
+  centrality_metric TEXT,                   -- GRAPH_CENTRALITY: BETWEENNESS (default) | OUT_DEGREE | DOWNSTREAM_REACH
+  intensity_model TEXT,                     -- GEO_RADIUS impacts: EQ_ATTENUATION | FLOOD_DEPTH (NULL = flat disc)
+  spread_model TEXT,                        -- anchored impacts: FIRE_SPREAD | FLOOD_SPREAD (NULL = all at time_pct)
   priority INTEGER NOT NULL DEFAULT 5,
   notes TEXT,
   enabled INTEGER NOT NULL DEFAULT 1,
@@ -107,18 +111,36 @@ CREATE TABLE IF NOT EXISTS scenario_template_rules (
 CREATE INDEX IF NOT EXISTS idx_rules_template
   ON scenario_template_rules(template_id);
 
+-- Every content change of a template (name, hazard type, rules) as an immutable snapshot
+CREATE TABLE IF NOT EXISTS scenario_template_versions (
+  template_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  template_name TEXT NOT NULL,
+  hazard_type TEXT NOT NULL,
+  rules_json TEXT NOT NULL,             -- all rules of the version (disabled ones too), by rule_id
+  source TEXT NOT NULL DEFAULT 'CSV',   -- what made the change: CSV load or API edit
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (template_id, version),
+  FOREIGN KEY (template_id) REFERENCES scenario_templates(template_id)
+);
+
 -- =========================================
 -- Scenario Instance + Prepared Events (Option A)
 -- =========================================
 CREATE TABLE IF NOT EXISTS scenario_instances (
   id TEXT PRIMARY KEY,
   city TEXT NOT NULL,
-  scenario TEXT NOT NULL,               -- UI scenario key (earthquake, tsunami...)
-  hazard_type TEXT NOT NULL,
-  template_id TEXT NOT NULL,
+  scenario TEXT NOT NULL,               -- UI scenario key (earthquake, tsunami...), 'compound' for stacked hazards
+  hazard_type TEXT NOT NULL,            -- COMPOUND for stacked hazards
+  template_id TEXT NOT NULL,            -- compound: the first stage's template
+  template_version INTEGER,             -- scenario_template_versions row the events were prepared from
   duration_hours INTEGER NOT NULL,
   tick_minutes INTEGER NOT NULL,
   repair_crews INTEGER NOT NULL DEFAULT 0,
+  dispatch_policy TEXT NOT NULL DEFAULT 'FIFO', -- crew dispatch: FIFO | CRITICALITY | FANOUT | NEAREST
+  random_seed INTEGER,                  -- prepare RNG seed (jitter, scatter, auto-recovery)
+  config_json TEXT,                     -- simulation options (failover delays, ...)
+  hazard_params_json TEXT,              -- intensity model inputs (magnitude, depth_km, peak_depth_m, decay_km)
   status TEXT NOT NULL DEFAULT 'PREPARED',
   created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (template_id) REFERENCES scenario_templates(template_id)
@@ -127,9 +149,11 @@ CREATE TABLE IF NOT EXISTS scenario_instances (
 CREATE TABLE IF NOT EXISTS scenario_instance_anchors (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   instance_id TEXT NOT NULL,
-  anchor_type TEXT NOT NULL,            -- EPICENTER / IMPACT_CENTER / ...
+  anchor_type TEXT NOT NULL,            -- a rule geo_anchor: EPICENTER / FLOOD_POCKET / FIRE_FRONT / CITY_CENTER (repeatable)
   lat REAL NOT NULL,
-  lng REAL NOT NULL,
+  lng REAL NOT NULL,                    -- drawn anchors: center of the shape
+  geometry_json TEXT,                   -- drawn anchors: GeoJSON Polygon / LineString (NULL = point)
+  stage_index INTEGER NOT NULL DEFAULT 0, -- the hazard stage the anchor belongs to
   created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (instance_id) REFERENCES scenario_instances(id) ON DELETE CASCADE
 );
@@ -137,6 +161,26 @@ CREATE TABLE IF NOT EXISTS scenario_instance_anchors (
 CREATE INDEX IF NOT EXISTS idx_instance_anchors_instance
   ON scenario_instance_anchors(instance_id);
 
+-- Hazards stacked into one instance (a plain instance has a single stage 0)
+CREATE TABLE IF NOT EXISTS scenario_instance_stages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  stage_index INTEGER NOT NULL,
+  scenario TEXT NOT NULL,
+  hazard_type TEXT NOT NULL,
+  template_id TEXT NOT NULL,
+  template_version INTEGER,
+  start_tick INTEGER NOT NULL,          -- the stage's rules play out over [start_tick, end_tick)
+  end_tick INTEGER NOT NULL,
+  hazard_params_json TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES scenario_instances(id) ON DELETE CASCADE,
+  FOREIGN KEY (template_id) REFERENCES scenario_templates(template_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_instance_stages_instance
+  ON scenario_instance_stages(instance_id);
+
 CREATE TABLE IF NOT EXISTS scenario_events (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   instance_id TEXT NOT NULL,
@@ -145,7 +189,11 @@ CREATE TABLE IF NOT EXISTS scenario_events (
   asset_id TEXT NOT NULL,
   performance_pct INTEGER NOT NULL,     -- set-to 0..100
   repair_time_minutes INTEGER,          -- optional
+  repair_time_min INTEGER,              -- source rule's repair window when prepared (crews sample it)
+  repair_time_max INTEGER,
   source_rule_id TEXT,
+  stage_index INTEGER,                  -- compound stage whose rule created it (NULL for auto-recoveries)
+  intensity REAL,                       -- hazard intensity at the asset (rules with an intensity_model)
   created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (instance_id) REFERENCES scenario_instances(id) ON DELETE CASCADE,
   FOREIGN KEY (asset_id) REFERENCES assets(id) ON DELETE CASCADE
@@ -156,3 +204,53 @@ CREATE INDEX IF NOT EXISTS idx_events_instance
 
 CREATE INDEX IF NOT EXISTS idx_events_instance_tick
   ON scenario_events(instance_id, tick_index);
+
+-- =========================================
+-- Simulation runs (persisted timeline payloads)
+-- =========================================
+CREATE TABLE IF NOT EXISTS sim_runs (
+  id TEXT PRIMARY KEY,                  -- sim_run_id
+  scenario_instance_id TEXT NOT NULL,
+  parent_sim_run_id TEXT,               -- set on what-if forks
+  fork_tick INTEGER,                    -- first tick that differs from the parent
+  city TEXT NOT NULL,
+  total_ticks INTEGER NOT NULL,
+  tick_minutes INTEGER NOT NULL,
+  computed_max_tick INTEGER NOT NULL DEFAULT -1,
+  config_json TEXT,                     -- crews, dispatch policy, seed, failover delays
+  summary_json TEXT,                    -- end-of-run counters
+  metrics_json TEXT,                    -- resilience metrics (see sim_metrics.js finalizeRunMetrics)
+  status TEXT NOT NULL DEFAULT 'RUNNING', -- RUNNING | PAUSED | DONE | CANCELLED | FAILED | INTERRUPTED
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TEXT,
+  FOREIGN KEY (scenario_instance_id) REFERENCES scenario_instances(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sim_runs_city
+  ON sim_runs(city, created_at);
+
+CREATE TABLE IF NOT EXISTS sim_run_ticks (
+  sim_run_id TEXT NOT NULL,
+  tick_index INTEGER NOT NULL,
+  payload_json TEXT NOT NULL,           -- /api/sim/tick payload (sectors, assets_changed, ...)
+  PRIMARY KEY (sim_run_id, tick_index),
+  FOREIGN KEY (sim_run_id) REFERENCES sim_runs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS sim_run_interventions (
+  id TEXT PRIMARY KEY,
+  sim_run_id TEXT NOT NULL,
+  tick_index INTEGER NOT NULL,          -- tick the intervention takes effect
+  intervention_type TEXT NOT NULL,      -- DAMAGE | RESTORE | MOBILE_GENERATOR | SET_CREWS | HARDEN | CANCEL_REPAIR
+  asset_id TEXT,                        -- NULL for SET_CREWS
+  performance_pct INTEGER,              -- set-to 0..100 (DAMAGE / RESTORE)
+  duration_ticks INTEGER,               -- MOBILE_GENERATOR only
+  crew_count INTEGER,                   -- SET_CREWS only
+  injected_by TEXT NOT NULL,
+  note TEXT,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (sim_run_id) REFERENCES sim_runs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sim_run_interventions_run
+  ON sim_run_interventions(sim_run_id, tick_index);
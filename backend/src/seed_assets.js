@@ -2,6 +2,7 @@ import "dotenv/config";
 import crypto from "crypto";
 import path from "path";
 import { openDb, initSchema, run } from "./db.js";
+import { SEED_ASSET_SUBTYPES } from "./asset_types.js";
 
 function uuid() {
   return crypto.randomUUID();
@@ -25,27 +26,27 @@ const CITY_NAME = "Jerusalem";
 const SECTORS = [
   {
     sector: "electricity",
-    subtypes: ["substation", "transformer", "distribution_node"],
+    subtypes: SEED_ASSET_SUBTYPES.electricity,
     count: 100,
   },
   {
     sector: "water",
-    subtypes: ["pump_station", "reservoir", "treatment_facility"],
+    subtypes: SEED_ASSET_SUBTYPES.water,
     count: 100,
   },
   {
     sector: "gas",
-    subtypes: ["gas_station", "regulator", "pipeline_node"],
+    subtypes: SEED_ASSET_SUBTYPES.gas,
     count: 80,
   },
   {
     sector: "communication",
-    subtypes: ["cell_tower", "fiber_node", "switch"],
+    subtypes: SEED_ASSET_SUBTYPES.communication,
     count: 120,
   },
   {
     sector: "first_responders",
-    subtypes: ["police_station", "fire_station", "ems_station"],
+    subtypes: SEED_ASSET_SUBTYPES.first_responders,
     count: 60,
   },
 ];
@@ -4,20 +4,9 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { run, all } from "./db.js";
-
-/**
- * Deterministic RNG (Mulberry32) for repeatable seeds.
- */
-function mulberry32(seed) {
-  let a = seed >>> 0;
-  return function () {
-    a |= 0;
-    a = (a + 0x6d2b79f5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
+import { mulberry32 } from "./rng.js";
+import { pointInGeoJSON } from "./geo.js";
+import { SECTOR_SUBTYPES } from "./asset_types.js";
 
 function uuid() {
   return crypto.randomUUID();
@@ -80,60 +69,6 @@ function randomPointInBbox(rng, bbox, center = null) {
   };
 }
 
-/**
- * Point-in-polygon helpers (GeoJSON uses [lng, lat]).
- * Ray casting.
- */
-function pointInRing(point, ring) {
-  const x = point.lng;
-  const y = point.lat;
-  let inside = false;
-
-  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const xi = ring[i][0], yi = ring[i][1];
-    const xj = ring[j][0], yj = ring[j][1];
-
-    const intersect =
-      (yi > y) !== (yj > y) &&
-      x < ((xj - xi) * (y - yi)) / (yj - yi + 0.0) + xi;
-
-    if (intersect) inside = !inside;
-  }
-
-  return inside;
-}
-
-function polygonContainsPoint(point, poly) {
-  // poly = [outerRing, hole1, hole2,...]
-  const outer = poly[0];
-  if (!outer || outer.length < 3) return false;
-
-  if (!pointInRing(point, outer)) return false;
-
-  // holes: if inside any hole -> reject
-  for (let h = 1; h < poly.length; h++) {
-    const hole = poly[h];
-    if (hole && hole.length >= 3 && pointInRing(point, hole)) return false;
-  }
-  return true;
-}
-
-function pointInGeoJSON(point, geojson) {
-  if (!geojson || !geojson.type || !geojson.coordinates) return true;
-
-  if (geojson.type === "Polygon") return polygonContainsPoint(point, geojson.coordinates);
-
-  if (geojson.type === "MultiPolygon") {
-    for (const poly of geojson.coordinates) {
-      if (polygonContainsPoint(point, poly)) return true;
-    }
-    return false;
-  }
-
-  // Unknown type -> accept (fail-open)
-  return true;
-}
-
 /**
  * LAND MASK loading (Natural Earth land polygons).
  * Put file at: backend/src/data/ne_land.geojson
@@ -209,14 +144,7 @@ function deriveCounts(profile) {
 }
 
 function subtypeFor(sector, rng) {
-  const dict = {
-    electricity: ["substation", "transformer", "mv_node", "lv_node"],
-    water: ["pump_station", "reservoir", "treatment"],
-    gas: ["regulator", "pipeline_node", "storage"],
-    communication: ["cell_tower", "exchange", "fiber_node"],
-    first_responders: ["police", "fire_station", "ems"],
-  };
-  return pick(rng, dict[sector] || ["node"]);
+  return pick(rng, SECTOR_SUBTYPES[sector] || ["node"]);
 }
 
 function criticalityFor(sector, subtype) {
@@ -2,16 +2,57 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
+import crypto from "crypto";
 import path from "path";
 
 //import { getDependenciesGraph, openDb, initSchema, all } from "./db.js";
-import { getDependenciesGraph, openDb, initSchema, all, run, get } from "./db.js";
+import { getDependenciesGraph, openDb, initSchema, ensureColumns, all, run, get, writeTransaction } from "./db.js";
 
 import { ollamaChat } from "./ollama.js";
 import { systemPrompt, userPrompt } from "./prompts.js";
 import { ragSearch } from "./rag.js";
 import { seedCity, rollbackSeedRun, getLatestSeedRunIdForCity } from "./seed_city.js";
-import { loadScenarioTemplatesAuto } from "./scenario_loader.js";
+import { loadScenarioTemplatesAuto, lintScenarioTemplateFiles } from "./scenario_loader.js";
+import { knownAssetTypes, lintTemplateRows } from "./template_validator.js";
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  cloneTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createRule,
+  updateRule,
+  deleteRule,
+  currentTemplateVersion,
+  storeTemplateVersion,
+  listTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+} from "./template_store.js";
+import { mulberry32, seedFromString, shuffled } from "./rng.js";
+import { haversineKm, nearestAnchorKm, normalizeAnchorGeometry, geometryCenter } from "./geo.js";
+import { HAZARD_MODELS, resolveHazardParams, assetHazard, damagedPerformance } from "./hazard_models.js";
+import { SPREAD_MODELS, spreadArrivalHours, spreadFront } from "./hazard_spread.js";
+import { cityCommsAdjacency, lateralMovement } from "./cyber_lateral.js";
+import { isStaffedAsset, workforceConfig, workforceAvailability, workforceLow } from "./workforce.js";
+import {
+  CENTRALITY_METRICS,
+  cityCentrality,
+  rankByCentrality,
+} from "./graph_centrality.js";
+import {
+  sectorSeriesFromRun,
+  timeToRecoveryTicks,
+  aggregateSectorBands,
+  summarizeRecoveryTimes,
+  runInsights,
+  compareRunInsights,
+  createRunMetrics,
+  recordAssetLoss,
+  recordSectorTick,
+  finalizeRunMetrics,
+} from "./sim_metrics.js";
 
 const PORT = Number(process.env.PORT || 3000);
 const DB_PATH = process.env.DB_PATH || "./demo.db";
@@ -22,6 +63,31 @@ app.use(express.json({ limit: "2mb" }));
 
 const db = openDb(DB_PATH);
 await initSchema(db, path.resolve("src/schema.sql"));
+await ensureColumns(db, "scenario_instances", {
+  config_json: "TEXT",
+  dispatch_policy: "TEXT NOT NULL DEFAULT 'FIFO'",
+  random_seed: "INTEGER",
+  hazard_params_json: "TEXT",
+  template_version: "INTEGER",
+});
+await ensureColumns(db, "sim_runs", { parent_sim_run_id: "TEXT", fork_tick: "INTEGER", metrics_json: "TEXT" });
+await ensureColumns(db, "sim_run_interventions", { crew_count: "INTEGER" });
+await ensureColumns(db, "scenario_template_rules", {
+  centrality_metric: "TEXT",
+  intensity_model: "TEXT",
+  spread_model: "TEXT",
+});
+await ensureColumns(db, "scenario_templates", { source: "TEXT NOT NULL DEFAULT 'CSV'" });
+await ensureColumns(db, "scenario_events", {
+  intensity: "REAL",
+  repair_time_min: "INTEGER",
+  repair_time_max: "INTEGER",
+  stage_index: "INTEGER",
+});
+await ensureColumns(db, "scenario_instance_anchors", { geometry_json: "TEXT", stage_index: "INTEGER NOT NULL DEFAULT 0" });
+await ensureColumns(db, "scenario_instance_stages", { template_version: "INTEGER" });
+// Runs still RUNNING belong to a previous process that stopped mid-run
+await run(db, `UPDATE sim_runs SET status = 'INTERRUPTED' WHERE status IN ('RUNNING', 'PAUSED')`);
 loadScenarioTemplatesAuto(DB_PATH);
 
 ////////////////////////////////////////////
@@ -51,11 +117,28 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Pause between computed ticks so the UI can follow along (headless runs use 0)
+const SIM_TICK_DELAY_MS = 40;
+const SIM_MAX_TICK_DELAY_MS = 2000;
+
 /**
  * Creates a simulation run shell, then computes ticks asynchronously.
  * IMPORTANT: This version matches your sqlite3 Database + schema.sql.
+ *
+ * opts.headless: compute without per-tick delay, keep the run out of SIM_RUNS
+ * and don't persist it (await run.finished for the result).
+ */
+async function startSimulationRun(db, scenario_instance_id, opts = {}) {
+  const run = await buildSimulationRun(db, scenario_instance_id, opts);
+  await launchSimulationRun(db, run);
+  return run;
+}
+
+/**
+ * Loads the instance and builds the run object (state at tick 0) without computing anything.
  */
-async function startSimulationRun(db, scenario_instance_id) {
+async function buildSimulationRun(db, scenario_instance_id, opts = {}) {
+  const headless = Boolean(opts.headless);
   // 1) Load scenario instance
   const inst = await get(
     db,
@@ -65,7 +148,13 @@ async function startSimulationRun(db, scenario_instance_id) {
       city,
       scenario,
       duration_hours,
-      tick_minutes
+      tick_minutes,
+      template_id,
+      repair_crews,
+      dispatch_policy,
+      random_seed,
+      config_json,
+      hazard_params_json
     FROM scenario_instances
     WHERE id = ?
   `,
@@ -92,19 +181,32 @@ async function startSimulationRun(db, scenario_instance_id) {
     [String(inst.city)]
   );
 
-  // 3) Load events for this instance
+  // 3) Load events for this instance (with the repair window their rule had when it was prepared)
   // schema.sql: scenario_events(instance_id, tick_index, asset_id, performance_pct, ...)
   const events = await all(
     db,
     `
-    SELECT tick_index, asset_id, performance_pct, event_kind
+    SELECT tick_index, asset_id, performance_pct, event_kind, repair_time_minutes, repair_time_min, repair_time_max
     FROM scenario_events
     WHERE instance_id = ?
-    ORDER BY tick_index ASC
+    ORDER BY tick_index ASC, id ASC
   `,
     [String(scenario_instance_id)]
   );
 
+  // 3b) Load active dependencies between this city's assets (Provider -> Consumer)
+  const deps = await all(
+    db,
+    `
+    SELECT d.provider_asset_id, d.consumer_asset_id, d.dependency_type, d.priority
+    FROM asset_dependencies d
+    JOIN assets ap ON ap.id = d.provider_asset_id
+    JOIN assets ac ON ac.id = d.consumer_asset_id
+    WHERE d.is_active = 1 AND ap.city = ? AND ac.city = ?
+  `,
+    [String(inst.city), String(inst.city)]
+  );
+
   // Index events by tick
   const eventsByTick = new Map();
   for (const ev of events) {
@@ -114,9 +216,16 @@ async function startSimulationRun(db, scenario_instance_id) {
       asset_id: String(ev.asset_id),
       performance_pct: clamp(Number(ev.performance_pct ?? 100), 0, 100),
       event_kind: String(ev.event_kind || ""),
+      repair_time_minutes: ev.repair_time_minutes,
+      repair_time_min: ev.repair_time_min,
+      repair_time_max: ev.repair_time_max,
     });
   }
 
+  const config = parseInstanceConfig(inst);
+  const repairCrews = clampInt(inst.repair_crews ?? 0, 0, 999);
+  // Fronts are only drawn during playback; headless batch runs skip them
+  const hazardSpreads = headless ? [] : await loadHazardSpreads(db, inst, config);
   const sim_run_id = makeSimRunId();
 
   const run = {
@@ -130,29 +239,612 @@ async function startSimulationRun(db, scenario_instance_id) {
     done: false,
 
     cache: new Map(), // tick_index -> payload
+    metrics: createRunMetrics(), // resilience metrics, fed every tick
+    listeners: new Set(), // SSE subscribers, called after each tick and on completion
+    tick_delay_ms: headless ? 0 : SIM_TICK_DELAY_MS,
 
     // State: asset_id -> performance_pct (0..100)
+    // perfPctById = the asset's own condition (set by events)
+    // effPctById  = what it actually delivers after upstream dependencies
     perfPctById: new Map(),
+    effPctById: new Map(),
 
     assets,
     eventsByTick,
+    depsByConsumer: indexDependenciesByConsumer(deps),
+
+    // Failover: "consumer|type" -> { provider_id, priority, pending }
+    activeFeeds: new Map(),
+    failoverDelayTicks: sanitizeFailoverDelays(config.failover_delay_ticks),
+    failover_count: 0,
+
+    // Interventions injected while the run is live (facilitator actions)
+    frozen_through_tick: -1, // events at or before this tick can no longer change
+    mobileGenerators: new Map(), // asset_id -> tick until which it has its own power
+    interventions: [],
+
+    // Fork what-ifs: assets that ignore template damage / won't get scheduled repairs
+    hardened: new Set(),
+    repairsCancelled: new Set(),
+    replay_until_tick: 0, // forks recompute the parent's ticks before this one without delay
+    parent_sim_run_id: null,
+    fork_tick: null,
+
+    // Repair crews (0 = legacy auto-recovery events drive restoration)
+    crew_mode: repairCrews > 0,
+    repair_crews: repairCrews,
+    lastDamageById: new Map(), // asset_id -> last damaging event (repair window for late crews)
+    crewPool: Array.from({ length: repairCrews }, (_, i) => ({ crew_id: `crew_${i + 1}`, job: null })),
+    crew_seq: repairCrews, // last crew number handed out
+    repairJobs: new Map(), // asset_id -> job
+    repairs_completed: 0,
+    dispatch_policy: normalizeDispatchPolicy(inst.dispatch_policy),
+    depot: resolveDepot(config.depot, assets),
+    dependencyAdjacency: indexDependencyAdjacency(
+      deps.filter((d) => String(d.dependency_type || "").toLowerCase() in DEPENDENCY_COUPLING)
+    ),
+    fanoutById: new Map(), // asset_id -> downstream dependents (lazy)
+    hazardSpreads, // spreading hazards: their fronts go into every tick payload
+    // Workforce curve (pandemic): limits crews on duty and caps staffed assets
+    workforce: config.workforce || null,
+    staffedIds: new Set(config.workforce ? assets.filter(isStaffedAsset).map((a) => String(a.id)) : []),
+    // Seeded instances replay identically; legacy ones fall back to the instance id
+    rng: mulberry32(seedFromString(inst.random_seed ?? scenario_instance_id)),
   };
 
   // Baseline: all 100%
   for (const a of assets) run.perfPctById.set(String(a.id), 100);
 
-  SIM_RUNS.set(sim_run_id, run);
+  run.persist = !headless;
+  run.status = "RUNNING";
+  run.config = {
+    scenario: inst.scenario,
+    template_id: inst.template_id,
+    duration_hours: durationHours,
+    repair_crews: repairCrews,
+    dispatch_policy: run.dispatch_policy,
+    random_seed: inst.random_seed,
+    ...config,
+    // Forks replay from the current city graph: they check it is still the one this run saw
+    graph_fingerprint: cityGraphFingerprint(assets, deps),
+  };
+
+  return run;
+}
+
+async function launchSimulationRun(db, run) {
+  if (run.persist) {
+    SIM_RUNS.set(run.sim_run_id, run);
+    await insertSimRunRow(db, run);
+    // Interventions scheduled before launch (fork history + modifications)
+    for (const iv of run.interventions) await insertInterventionRow(db, run.sim_run_id, iv);
+  }
 
   // async compute (backend continues even if UI pauses)
-  computeSimRunTicks(run).catch((err) => {
+  run.finished = computeSimRunTicks(db, run).catch(async (err) => {
     console.error("computeSimRunTicks failed:", err);
     run.done = true;
+    run.status = "FAILED";
+    run.error = String(err?.message || err);
+    notifySimRunListeners(run);
+    if (run.persist) await finishSimRunRow(db, run).catch(() => {});
   });
+}
 
-  return run;
+/**
+ * Applies one event at tick t. Events set the asset's own performance_pct, except:
+ * - IMPACT events never improve an asset (a later hazard hitting it more lightly keeps the worse state)
+ * - with crews, scheduled REPAIR* events are skipped (crews restore assets instead)
+ * - MOBILE_GENERATOR powers the asset itself for duration_ticks (ignores upstream power)
+ * - SET_CREWS / HARDEN / CANCEL_REPAIR change how the rest of the run plays out
+ */
+function applySimEvent(run, ev, t) {
+  const kind = ev.event_kind.toUpperCase();
+
+  switch (kind) {
+    case "MOBILE_GENERATOR":
+      run.mobileGenerators.set(ev.asset_id, t + ev.duration_ticks);
+      return;
+    case "SET_CREWS":
+      resizeCrewPool(run, ev.crew_count, t);
+      return;
+    case "HARDEN":
+      run.hardened.add(ev.asset_id);
+      return;
+    case "CANCEL_REPAIR":
+      run.repairsCancelled.add(ev.asset_id);
+      cancelRepair(run, ev.asset_id);
+      return;
+  }
+
+  const isRepair = kind.startsWith("REPAIR");
+  if (isRepair && (isCrewMode(run) || run.repairsCancelled.has(ev.asset_id))) return;
+
+  let pct = clamp(ev.performance_pct, 0, 100);
+  if (!ev.intervention && pct < 100 && run.hardened.has(ev.asset_id)) return;
+  if (kind === "IMPACT") pct = Math.min(pct, Number(run.perfPctById.get(ev.asset_id) ?? 100));
+
+  run.perfPctById.set(ev.asset_id, pct);
+  if (pct < 100) run.lastDamageById.set(ev.asset_id, ev);
+  if (!isCrewMode(run)) return;
+
+  if (pct >= 100) cancelRepair(run, ev.asset_id); // restored by hand: free the crew
+  else if (!run.repairsCancelled.has(ev.asset_id)) enqueueRepair(run, ev, t);
+}
+
+function hasMobileGenerator(run, assetId, t) {
+  return (run.mobileGenerators?.get(assetId) ?? -1) > t;
+}
+
+// ============================================================
+// Dependency cascade (Provider -> Consumer)
+// ============================================================
+
+// How strongly a consumer follows its provider, per dependency_type.
+// 1.0 = the consumer can never perform better than its provider,
+// 0.5 = the consumer loses half of the provider's shortfall.
+// Types not listed here (e.g. sector_link) are structural and do not propagate.
+const DEPENDENCY_COUPLING = {
+  power: 1.0,
+  water: 1.0,
+  gas: 1.0,
+  communication: 0.5,
+};
+
+// Safety cap for the fixed-point iteration (dependency chains rarely go deeper)
+const CASCADE_MAX_PASSES = 12;
+
+// A provider below this performance is considered down and triggers failover to a backup feed
+const FAILOVER_HEALTHY_PCT = 50;
+
+function parseInstanceConfig(inst) {
+  return parseJsonObject(inst?.config_json);
+}
+
+// ============================================================
+// Spreading hazards (fronts for playback; events were timed at prepare)
+// ============================================================
+
+/**
+ * config.spread entries of the instance with their stage's anchors and hazard_params.
+ */
+async function loadHazardSpreads(db, inst, config) {
+  const spreads = Array.isArray(config.spread) ? config.spread : [];
+  if (!spreads.length) return [];
+
+  const rows = await all(
+    db,
+    `SELECT anchor_type, lat, lng, geometry_json, stage_index FROM scenario_instance_anchors WHERE instance_id = ? ORDER BY id`,
+    [inst.id]
+  );
+  const anchors = rows.map((r) => {
+    const geometry = parseJsonObject(r.geometry_json);
+    const a = { type: r.anchor_type, lat: r.lat, lng: r.lng, stage: Number(r.stage_index || 0) };
+    return geometry.type ? { ...a, geometry } : a;
+  });
+
+  // Instances prepared before stages existed only have the instance-level params
+  const stages = await all(db, `SELECT stage_index, hazard_params_json FROM scenario_instance_stages WHERE instance_id = ?`, [inst.id]);
+  const paramsByStage = new Map(
+    stages.map((st) => [Number(st.stage_index), resolveHazardParams(parseJsonObject(st.hazard_params_json)).params])
+  );
+  const { params: instanceParams } = resolveHazardParams(parseJsonObject(inst.hazard_params_json));
+
+  return spreads
+    .filter((sp) => sp.model in SPREAD_MODELS)
+    .map((sp) => {
+      const stage = Number(sp.stage || 0);
+      return {
+        ...sp,
+        params: paramsByStage.get(stage) || instanceParams,
+        anchors: anchors.filter((a) => a.stage === stage && a.type === sp.anchor_type),
+      };
+    });
+}
+
+/**
+ * Footprint of every spreading hazard at tick t: [{ model, anchor_type, hours, geometry }], one per anchor.
+ */
+function hazardFrontsAt(run, t) {
+  const fronts = [];
+  for (const sp of run.hazardSpreads || []) {
+    if (t < sp.start_tick) continue;
+    const hours = Math.round(((t - sp.start_tick) * run.tick_minutes * 100) / 60) / 100;
+    for (const anchor of sp.anchors) {
+      const geometry = spreadFront(sp.model, anchor, sp.params, hours, sp.max_km ?? Infinity);
+      if (geometry) fronts.push({ model: sp.model, anchor_type: sp.anchor_type, hours, geometry });
+    }
+  }
+  return fronts;
+}
+
+/**
+ * { power: 2, communication: 1 } -> switchover delay (ticks) per dependency type.
+ * Unknown types are dropped; missing types default to an immediate switch (0).
+ */
+function sanitizeFailoverDelays(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  for (const [type, v] of Object.entries(input)) {
+    const key = String(type).toLowerCase();
+    if (!(key in DEPENDENCY_COUPLING)) continue;
+    out[key] = clampInt(v, 0, 1000);
+  }
+  return out;
+}
+
+/**
+ * consumer_asset_id -> Map(dependency_type -> [{ provider_id, priority }]) sorted by priority.
+ */
+function indexDependenciesByConsumer(deps = []) {
+  const byConsumer = new Map();
+
+  for (const d of deps) {
+    const type = String(d.dependency_type || "").toLowerCase();
+    if (!(type in DEPENDENCY_COUPLING)) continue;
+
+    const consumerId = String(d.consumer_asset_id);
+    const providerId = String(d.provider_asset_id);
+    if (consumerId === providerId) continue;
+
+    if (!byConsumer.has(consumerId)) byConsumer.set(consumerId, new Map());
+    const byType = byConsumer.get(consumerId);
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push({ provider_id: providerId, priority: Math.max(1, Number(d.priority || 1)) });
+  }
+
+  for (const byType of byConsumer.values()) {
+    for (const providers of byType.values()) {
+      providers.sort((x, y) => x.priority - y.priority);
+    }
+  }
+
+  return byConsumer;
+}
+
+/**
+ * Decides which provider feeds a consumer for one dependency type at tick t.
+ * - Starts on the primary feed (lowest priority number).
+ * - When the active feed goes down, switches to the highest-priority healthy provider;
+ *   switching to a lower-priority (backup) feed takes failoverDelayTicks[type] ticks.
+ * - When a higher-priority feed is healthy again, switches back immediately.
+ * Pure: returns the next feed state without storing it.
+ */
+function resolveFeed(run, consumerId, type, providers, eff, t) {
+  const key = `${consumerId}|${type}`;
+  const cur =
+    run.activeFeeds.get(key) ||
+    { provider_id: providers[0].provider_id, priority: providers[0].priority, pending: null };
+
+  const perfOf = (id) => Number(eff.get(id) ?? 100);
+  const best = providers.find((p) => perfOf(p.provider_id) >= FAILOVER_HEALTHY_PCT) || null;
+
+  // Nothing healthy to switch to: stay on the current feed
+  if (!best) return { ...cur, pending: null };
+
+  // Current feed healthy and nothing better available
+  if (perfOf(cur.provider_id) >= FAILOVER_HEALTHY_PCT && best.priority >= cur.priority) {
+    return { ...cur, pending: null };
+  }
+
+  // Switching back up (or across parallel feeds of the same priority) is immediate
+  const delay = Number(run.failoverDelayTicks[type] || 0);
+  if (best.priority <= cur.priority || delay <= 0) {
+    return { provider_id: best.provider_id, priority: best.priority, pending: null };
+  }
+
+  // Switching down to a backup feed waits for the switchover delay
+  const pending =
+    cur.pending && cur.pending.provider_id === best.provider_id
+      ? cur.pending
+      : { provider_id: best.provider_id, priority: best.priority, ready_tick: t + delay };
+
+  if (t >= pending.ready_tick) {
+    return { provider_id: best.provider_id, priority: best.priority, pending: null };
+  }
+  return { ...cur, pending };
+}
+
+/**
+ * Computes run.effPctById from run.perfPctById: each consumer's effective performance
+ * is bounded by the provider currently feeding it, repeated until the cascade settles.
+ * Every pass recomputes all consumers from the previous pass (feeds included), so a consumer
+ * recovers when its provider fails over to a healthy backup, and the result does not depend
+ * on the order consumers are visited in.
+ * Returns the feed switches committed at this tick.
+ */
+function propagateDependencies(run, t) {
+  let eff = new Map(run.perfPctById);
+  for (const id of run.staffedIds) eff.set(id, ownPerformance(run, id, t));
+
+  for (let pass = 0; pass < CASCADE_MAX_PASSES; pass++) {
+    const nextEff = new Map(eff);
+    let changed = false;
+
+    for (const [consumerId, byType] of run.depsByConsumer) {
+      const cur = eff.get(consumerId);
+      if (cur === undefined) continue;
+
+      let bound = 100;
+      for (const [type, providers] of byType) {
+        if (type === "power" && hasMobileGenerator(run, consumerId, t)) continue;
+        const feed = resolveFeed(run, consumerId, type, providers, eff, t);
+        const supply = Number(eff.get(feed.provider_id) ?? 100);
+        bound = Math.min(bound, 100 - DEPENDENCY_COUPLING[type] * (100 - supply));
+      }
+
+      const next = Math.min(ownPerformance(run, consumerId, t), bound);
+      if (next !== cur) {
+        nextEff.set(consumerId, next);
+        changed = true;
+      }
+    }
+
+    eff = nextEff;
+    if (!changed) break;
+  }
+
+  run.effPctById = eff;
+
+  // Commit feed decisions (pending switchovers carry over to the next tick)
+  const switches = [];
+  for (const [consumerId, byType] of run.depsByConsumer) {
+    for (const [type, providers] of byType) {
+      const key = `${consumerId}|${type}`;
+      const prev = run.activeFeeds.get(key);
+      const next = resolveFeed(run, consumerId, type, providers, eff, t);
+      const prevProvider = prev ? prev.provider_id : providers[0].provider_id;
+
+      if (next.provider_id !== prevProvider) {
+        switches.push({ consumer_id: consumerId, dependency_type: type, from: prevProvider, to: next.provider_id });
+      }
+      run.activeFeeds.set(key, next);
+    }
+  }
+
+  run.failover_count += switches.length;
+  return switches;
+}
+
+// ============================================================
+// Repair crews
+// ============================================================
+// A damaged asset waits in run.repairJobs until a crew is free. The crew works on it
+// for a duration sampled from the source rule's repair_time_min..max (as stored on the event
+// when the instance was prepared; older events only have the average, repair_time_minutes),
+// and only when the crew finishes is the asset restored to 100%.
+
+const DEFAULT_REPAIR_MINUTES = 240;
+
+function isCrewMode(run) {
+  return Boolean(run.crew_mode);
+}
+
+function finiteOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function sampleRepairTicks(run, ev) {
+  const minM = finiteOrNull(ev.repair_time_min);
+  const maxM = finiteOrNull(ev.repair_time_max);
+
+  let minutes;
+  if (minM !== null && maxM !== null) {
+    minutes = Math.min(minM, maxM) + run.rng() * Math.abs(maxM - minM);
+  } else {
+    minutes = minM ?? maxM ?? finiteOrNull(ev.repair_time_minutes) ?? DEFAULT_REPAIR_MINUTES;
+  }
+
+  return Math.max(1, Math.ceil(minutes / run.tick_minutes));
+}
+
+/**
+ * Registers (or extends) the repair job for an asset that was just damaged.
+ */
+function enqueueRepair(run, ev, t) {
+  const workTicks = sampleRepairTicks(run, ev);
+  const job = run.repairJobs.get(ev.asset_id);
+
+  if (!job) {
+    run.repairJobs.set(ev.asset_id, {
+      asset_id: ev.asset_id,
+      damaged_tick: t,
+      work_ticks: workTicks,
+      crew_id: null,
+      start_tick: null,
+      done_tick: null,
+    });
+    return;
+  }
+
+  // Hit again: the remaining work can only grow
+  job.work_ticks = Math.max(job.work_ticks, workTicks);
+  if (job.crew_id) job.done_tick = Math.max(job.done_tick, t + workTicks);
+}
+
+/**
+ * Changes the number of crews from tick t on. Removed crews drop their job back into the queue.
+ * Switching an auto-recovery run to crews queues every asset that is still damaged.
+ */
+function resizeCrewPool(run, count, t) {
+  const n = clampInt(count, 0, 999);
+
+  if (!isCrewMode(run)) {
+    run.crew_mode = true;
+    for (const [assetId, pct] of run.perfPctById) {
+      if (pct >= 100 || run.repairsCancelled.has(assetId)) continue;
+      enqueueRepair(run, run.lastDamageById.get(assetId) || { asset_id: assetId }, t);
+    }
+  }
+
+  while (run.crewPool.length < n) {
+    run.crewPool.push({ crew_id: `crew_${++run.crew_seq}`, job: null });
+  }
+  while (run.crewPool.length > n) {
+    // Idle crews go first
+    const idx = run.crewPool.findLastIndex((c) => !c.job);
+    const [crew] = run.crewPool.splice(idx >= 0 ? idx : run.crewPool.length - 1, 1);
+    if (crew.job) Object.assign(crew.job, { crew_id: null, start_tick: null, done_tick: null });
+  }
+
+  run.repair_crews = n;
+}
+
+function cancelRepair(run, assetId) {
+  const job = run.repairJobs.get(assetId);
+  if (!job) return;
+  const crew = job.crew_id ? run.crewPool.find((c) => c.crew_id === job.crew_id) : null;
+  if (crew) crew.job = null;
+  run.repairJobs.delete(assetId);
+}
+
+/**
+ * Crews that can be dispatched at tick t: the pool, thinned by workforce absenteeism.
+ */
+function availableCrews(run, t) {
+  if (!run.workforce) return run.crewPool.length;
+  return Math.round(run.crewPool.length * workforceAvailability(run.workforce, t, run.total_ticks));
+}
+
+/**
+ * What the asset can deliver on its own at tick t: its condition, capped by the staff
+ * on shift for staffed assets (first responders, treatment plants).
+ */
+function ownPerformance(run, id, t) {
+  const pct = Number(run.perfPctById.get(id) ?? 100);
+  if (!run.staffedIds.has(id)) return pct;
+  return Math.min(pct, Math.round(100 * workforceAvailability(run.workforce, t, run.total_ticks)));
+}
+
+// ------------------------------------------------------------
+// Crew dispatch policies: which waiting asset gets the next free crew
+// ------------------------------------------------------------
+
+const DISPATCH_FANOUT_MAX_DEPTH = 4;
+
+const DISPATCH_POLICIES = {
+  FIFO: {
+    label: "first damaged, first repaired",
+    compare: () => 0,
+  },
+  CRITICALITY: {
+    label: "highest criticality first",
+    compare: (run, x, y) => assetCriticality(run, y.asset_id) - assetCriticality(run, x.asset_id),
+  },
+  FANOUT: {
+    label: "largest downstream dependency footprint first",
+    compare: (run, x, y) => downstreamFanout(run, y.asset_id) - downstreamFanout(run, x.asset_id),
+  },
+  NEAREST: {
+    label: "nearest to the crew depot first",
+    compare: (run, x, y) => depotDistanceKm(run, x.asset_id) - depotDistanceKm(run, y.asset_id),
+  },
+};
+
+function normalizeDispatchPolicy(v) {
+  const key = String(v || "FIFO").trim().toUpperCase();
+  return key in DISPATCH_POLICIES ? key : "FIFO";
+}
+
+function assetById(run, id) {
+  if (!run.assetById) run.assetById = new Map(run.assets.map((a) => [String(a.id), a]));
+  return run.assetById.get(String(id));
+}
+
+function assetCriticality(run, id) {
+  return Number(assetById(run, id)?.criticality || 0);
 }
 
-async function computeSimRunTicks(run) {
+function downstreamFanout(run, id) {
+  if (!run.fanoutById.has(id)) {
+    const { visited } = walkDependencyChain(run.dependencyAdjacency, id, {
+      direction: "downstream",
+      maxDepth: DISPATCH_FANOUT_MAX_DEPTH,
+    });
+    run.fanoutById.set(id, visited.size - 1);
+  }
+  return run.fanoutById.get(id);
+}
+
+function depotDistanceKm(run, id) {
+  const a = assetById(run, id);
+  if (!a || !run.depot) return 0;
+  return haversineKm(run.depot.lat, run.depot.lng, Number(a.lat), Number(a.lng));
+}
+
+/**
+ * Depot = explicit { lat, lng } from the instance config, else the city's asset centroid.
+ */
+function resolveDepot(depot, assets = []) {
+  const lat = Number(depot?.lat);
+  const lng = Number(depot?.lng);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng };
+  if (!assets.length) return null;
+
+  let sumLat = 0;
+  let sumLng = 0;
+  for (const a of assets) {
+    sumLat += Number(a.lat);
+    sumLng += Number(a.lng);
+  }
+  return { lat: sumLat / assets.length, lng: sumLng / assets.length };
+}
+
+/**
+ * Finishes due jobs, then hands free crews to waiting jobs in dispatch-policy order
+ * (ties broken by damage tick).
+ */
+function scheduleRepairCrews(run, t) {
+  const completed = [];
+  const started = [];
+
+  for (const crew of run.crewPool) {
+    const job = crew.job;
+    if (!job || job.done_tick > t) continue;
+
+    run.perfPctById.set(job.asset_id, 100);
+    run.repairJobs.delete(job.asset_id);
+    crew.job = null;
+    completed.push({ asset_id: job.asset_id, crew_id: crew.crew_id });
+  }
+  run.repairs_completed += completed.length;
+
+  const policy = DISPATCH_POLICIES[run.dispatch_policy] || DISPATCH_POLICIES.FIFO;
+  const queue = [...run.repairJobs.values()].filter((j) => !j.crew_id);
+  queue.sort((x, y) => policy.compare(run, x, y) || x.damaged_tick - y.damaged_tick);
+
+  const busy = run.crewPool.filter((c) => c.job).length;
+  let free = Math.max(0, availableCrews(run, t) - busy);
+
+  for (const job of queue) {
+    if (free <= 0) break;
+    const crew = run.crewPool.find((c) => !c.job);
+    if (!crew) break;
+
+    job.crew_id = crew.crew_id;
+    job.start_tick = t;
+    job.done_tick = t + job.work_ticks;
+    crew.job = job;
+    free--;
+    started.push({ asset_id: job.asset_id, crew_id: crew.crew_id, done_tick: job.done_tick });
+  }
+
+  const busyNow = run.crewPool.filter((c) => c.job).length;
+  return {
+    completed,
+    started,
+    summary: {
+      total: run.crewPool.length,
+      available: availableCrews(run, t),
+      busy: busyNow,
+      queued: run.repairJobs.size - busyNow,
+    },
+  };
+}
+
+async function computeSimRunTicks(db, run) {
   // Prev status for "changed" detection (baseline)
   const prevStatus = new Map();
   for (const a of run.assets) {
@@ -170,36 +862,59 @@ async function computeSimRunTicks(run) {
   }
 
   for (let t = 0; t < run.total_ticks; t++) {
-    // Apply direct events at tick t (set-to performance_pct)
+    if (run.status === "PAUSED") await waitUntilResumed(run);
+    if (run.status === "CANCELLED") break;
+
+    // From here on, tick t's events are fixed (injections go to t + 1 or later)
+    run.frozen_through_tick = t;
+
+    // Apply direct events at tick t (template events first, then injected ones)
     const evs = run.eventsByTick.get(t) || [];
+    const interventions = [];
     for (const ev of evs) {
-      run.perfPctById.set(ev.asset_id, clamp(ev.performance_pct, 0, 100));
+      applySimEvent(run, ev, t);
+      if (ev.intervention) interventions.push(ev.intervention);
     }
 
+    const crews = isCrewMode(run) ? scheduleRepairCrews(run, t) : null;
+
+    // Cascade degradation from providers to consumers (with backup-feed failover)
+    const failovers = propagateDependencies(run, t);
+
     // Compute changed assets + sector health
     const assets_changed = [];
     const sectorPerfSum = {}; // sec -> sum(perf% * weight)
+    let cascadedCount = 0;
 
     for (const a of run.assets) {
       const id = String(a.id);
       const sec = String(a.sector || "unknown");
       const w = Math.max(1, Number(a.criticality || 1));
-      const perf = clamp(Number(run.perfPctById.get(id) ?? 100), 0, 100);
+      const condition = clamp(Number(run.perfPctById.get(id) ?? 100), 0, 100);
+      const own = clamp(ownPerformance(run, id, t), 0, 100);
+      const perf = clamp(Number(run.effPctById.get(id) ?? own), 0, 100);
+      const cascaded = perf < own;
+      if (cascaded) cascadedCount++;
+      const understaffed = own < condition;
 
       sectorPerfSum[sec] = (sectorPerfSum[sec] || 0) + perf * w;
+      recordAssetLoss(run.metrics, id, sec, perf, w);
 
       const status = perfPctToStatus(perf);
       const old = prevStatus.get(id);
       if (old !== status) {
-        assets_changed.push({ id, status });
+        const cause = cascaded ? "dependency" : understaffed ? "workforce" : null;
+        assets_changed.push(cause ? { id, status, cause } : { id, status });
       }
       prevStatus.set(id, status);
     }
 
+    recordSectorTick(run.metrics, sectorPerfSum, sectorWeights);
+
     const sectors = {};
     for (const sec of Object.keys(sectorWeights)) {
       const wSum = sectorWeights[sec] || 1;
-      const avgPerf = (sectorPerfSum[sec] || 100 * wSum) / wSum; // 0..100
+      const avgPerf = (sectorPerfSum[sec] ?? 100 * wSum) / wSum; // 0..100 (a sector fully down sums to 0)
       sectors[sec] = Math.round(clamp(avgPerf, 0, 100));
     }
 
@@ -210,6 +925,21 @@ async function computeSimRunTicks(run) {
         `Tick ${t + 1}: ${assets_changed.length} assets changed state. Prioritize critical repairs in affected sectors.`
       );
     }
+    if (failovers.length) {
+      recommendations.push(
+        `Tick ${t + 1}: ${failovers.length} feeds switched provider (backup failover / return to primary).`
+      );
+    }
+    if (crews && crews.summary.queued > 0 && crews.summary.busy >= crews.summary.available) {
+      recommendations.push(
+        `Tick ${t + 1}: ${crews.summary.queued} damaged assets are waiting for a crew (all ${crews.summary.available} crews busy).`
+      );
+    }
+    if (cascadedCount) {
+      recommendations.push(
+        `Tick ${t + 1}: ${cascadedCount} assets are degraded by upstream dependencies. Restoring their providers recovers them too.`
+      );
+    }
 
     const payload = {
       sim_run_id: run.sim_run_id,
@@ -217,438 +947,2216 @@ async function computeSimRunTicks(run) {
       total_ticks: run.total_ticks,
       sectors,
       assets_changed,
+      cascaded_assets: cascadedCount,
+      failovers,
       recommendations,
     };
 
+    if (interventions.length) payload.interventions = interventions;
+
+    const hazard_fronts = hazardFrontsAt(run, t);
+    if (hazard_fronts.length) payload.hazard_fronts = hazard_fronts;
+
+    if (run.workforce) {
+      payload.workforce_pct = Math.round(100 * workforceAvailability(run.workforce, t, run.total_ticks));
+    }
+
+    if (crews) {
+      payload.crews = crews.summary;
+      payload.repairs_started = crews.started;
+      payload.repairs_completed = crews.completed;
+    }
+
     run.cache.set(t, payload);
+    if (run.persist) await insertSimRunTick(db, run.sim_run_id, payload);
     run.computed_max_tick = t;
+    notifySimRunListeners(run);
 
-    // Simulate compute time (optional)
-    await sleep(40);
+    // Simulate compute time (optional); always yield so other requests get served
+    await sleep(t < run.replay_until_tick ? 0 : run.tick_delay_ms);
   }
 
   run.done = true;
+  if (run.status !== "CANCELLED") run.status = "DONE";
+  if (run.persist) await finishSimRunRow(db, run);
+  notifySimRunListeners(run);
 }
-//////////////////////////////////////////////
-
-app.get("/health", (req, res) => res.json({ ok: true }));
-/* ============================================================
-   Simulation APIs (Phase 2)
-   ============================================================ */
-
-// GET /api/sim/state?sim_run_id=...
-app.get("/api/sim/state", (req, res) => {
-  const sim_run_id = String(req.query.sim_run_id || "").trim();
-  if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
 
-  const run = SIM_RUNS.get(sim_run_id);
-  if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+// ============================================================
+// Run control: pause / resume / cancel / pacing
+// ============================================================
 
-  return res.json({
-    sim_run_id: run.sim_run_id,
-    scenario_instance_id: run.scenario_instance_id,
-    city: run.city,
-    total_ticks: run.total_ticks,
-    computed_max_tick: run.computed_max_tick,
-    done: run.done,
+function waitUntilResumed(run) {
+  return new Promise((resolve) => {
+    run.resumeWaiter = resolve;
   });
-});
-
-// GET /api/sim/tick?sim_run_id=...&tick_index=...
-app.get("/api/sim/tick", (req, res) => {
-  const sim_run_id = String(req.query.sim_run_id || "").trim();
-  const tick_index = Number(req.query.tick_index);
-  if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
-  if (!Number.isFinite(tick_index)) return res.status(400).json({ error: "tick_index is required" });
+}
 
-  const run = SIM_RUNS.get(sim_run_id);
-  if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+function wakeSimRun(run) {
+  const resolve = run.resumeWaiter;
+  run.resumeWaiter = null;
+  resolve?.();
+}
 
-  const t = Math.max(0, Math.min(run.total_ticks - 1, Math.trunc(tick_index)));
-  const payload = run.cache.get(t);
+/**
+ * Applies a control action to a live run. Returns an error string, or null on success.
+ * Pause/cancel take effect before the next tick is computed.
+ */
+function applySimControl(run, action, { tick_delay_ms } = {}) {
+  if (run.done) return `Simulation already finished (${run.status}).`;
+
+  switch (action) {
+    case "pause":
+      if (run.status === "RUNNING") run.status = "PAUSED";
+      return null;
+    case "resume":
+      if (run.status === "PAUSED") {
+        run.status = "RUNNING";
+        wakeSimRun(run);
+      }
+      return null;
+    case "cancel":
+      run.status = "CANCELLED";
+      wakeSimRun(run);
+      return null;
+    case "set_speed": {
+      const ms = Number(tick_delay_ms);
+      if (!Number.isFinite(ms)) return "tick_delay_ms is required for set_speed";
+      run.tick_delay_ms = clampInt(ms, 0, SIM_MAX_TICK_DELAY_MS);
+      return null;
+    }
+    default:
+      return `Unknown action: ${action} (pause | resume | cancel | set_speed)`;
+  }
+}
 
-  if (!payload) {
-    return res.json({
-      sim_run_id,
-      tick_index: t,
-      pending: true,
-      computed_max_tick: run.computed_max_tick,
-      done: run.done,
-    });
+function notifySimRunListeners(run) {
+  for (const listener of run.listeners) {
+    try {
+      listener();
+    } catch (err) {
+      console.warn("sim run listener failed:", err);
+    }
   }
+}
 
-  return res.json({ ...payload, pending: false, computed_max_tick: run.computed_max_tick, done: run.done });
-});
+// ============================================================
+// Simulation run persistence (sim_runs + sim_run_ticks)
+// ============================================================
 
+function parseJsonObject(text) {
+  try {
+    const v = JSON.parse(text || "{}");
+    return v && typeof v === "object" ? v : {};
+  } catch (_) {
+    return {};
+  }
+}
 
-/* ============================================================
-   Scenario Prepare API (Option A) - create instance + events
-   ============================================================ */
+async function insertSimRunRow(db, simRun) {
+  await run(
+    db,
+    `
+    INSERT INTO sim_runs
+      (id, scenario_instance_id, parent_sim_run_id, fork_tick, city, total_ticks, tick_minutes, config_json, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      simRun.sim_run_id,
+      simRun.scenario_instance_id,
+      simRun.parent_sim_run_id,
+      simRun.fork_tick,
+      simRun.city,
+      simRun.total_ticks,
+      simRun.tick_minutes,
+      JSON.stringify(simRun.config),
+      simRun.status,
+    ]
+  );
+}
 
-const SCENARIO_TO_TEMPLATE = {
-  earthquake: { template_id: "EQ_030", hazard_type: "EARTHQUAKE", anchor_required: "EPICENTER" },
-  cyber_attack: { template_id: "CY_020", hazard_type: "CYBER", anchor_required: null },
-  tsunami: { template_id: "TS_025", hazard_type: "TSUNAMI", anchor_required: "IMPACT_CENTER" },
-  pandemic: { template_id: "PD_040", hazard_type: "PANDEMIC", anchor_required: null },
-  severe_storm: { template_id: "SS_020", hazard_type: "SEVERE_STORM", anchor_required: "FLOOD_POCKET" },
-  wildfire: { template_id: "WF_020", hazard_type: "WILDFIRE", anchor_required: "FIRE_ORIGIN" },
-};
+async function insertSimRunTick(db, sim_run_id, payload) {
+  await run(
+    db,
+    `INSERT OR REPLACE INTO sim_run_ticks (sim_run_id, tick_index, payload_json) VALUES (?, ?, ?)`,
+    [sim_run_id, payload.tick_index, JSON.stringify(payload)]
+  );
+}
 
-function nowId(prefix = "scn") {
-  const d = new Date();
-  const pad = (n) => String(n).padStart(2, "0");
-  return `${prefix}_${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}_${Math.random().toString(16).slice(2, 8)}`;
+async function setSimRunRowStatus(db, sim_run_id, status) {
+  await run(db, `UPDATE sim_runs SET status = ? WHERE id = ?`, [status, sim_run_id]);
 }
 
-function clampInt(n, lo, hi) {
-  const x = Math.trunc(Number(n));
-  if (!Number.isFinite(x)) return lo;
-  return Math.max(lo, Math.min(hi, x));
+async function finishSimRunRow(db, simRun) {
+  const summary = {
+    failover_count: simRun.failover_count,
+    repairs_completed: simRun.repairs_completed,
+  };
+  await run(
+    db,
+    `
+    UPDATE sim_runs
+    SET status = ?, computed_max_tick = ?, summary_json = ?, metrics_json = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      simRun.status,
+      simRun.computed_max_tick,
+      JSON.stringify(summary),
+      JSON.stringify(simRunMetrics(simRun)),
+      simRun.sim_run_id,
+    ]
+  );
 }
 
-function haversineKm(lat1, lng1, lat2, lng2) {
-  const R = 6371;
-  const toRad = (x) => (x * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(a));
+/**
+ * Resilience metrics for a run: live runs summarize their accumulator (so far),
+ * rehydrated ones return what was stored when they finished (null for runs stored before metrics existed).
+ */
+function simRunMetrics(simRun) {
+  if (simRun.hydrated) return simRun.stored_metrics;
+  return finalizeRunMetrics(simRun.metrics, { tickMinutes: simRun.tick_minutes, totalTicks: simRun.total_ticks });
 }
 
-function pickCount(target_mode, target_value, candidatesCount) {
-  const mode = String(target_mode || "").toUpperCase();
-  const val = Number(target_value || 0);
+/**
+ * Live run from SIM_RUNS, else a finished run rebuilt from SQLite. Rebuilt runs are not cached:
+ * SIM_RUNS only holds the runs this process computes.
+ */
+async function getSimRun(db, sim_run_id) {
+  const live = SIM_RUNS.get(sim_run_id);
+  if (live) return live;
 
-  if (mode === "COUNT") {
-    return clampInt(val, 0, candidatesCount);
-  }
-  // default PCT
-  const pct = Math.max(0, Math.min(100, val));
-  return clampInt(Math.ceil((pct / 100) * candidatesCount), 0, candidatesCount);
+  const row = await get(db, `SELECT * FROM sim_runs WHERE id = ?`, [sim_run_id]);
+  if (!row) return null;
+
+  const ticks = await all(
+    db,
+    `SELECT tick_index, payload_json FROM sim_run_ticks WHERE sim_run_id = ? ORDER BY tick_index ASC`,
+    [sim_run_id]
+  );
+
+  const config = parseJsonObject(row.config_json);
+  const summary = parseJsonObject(row.summary_json);
+  const storedMetrics = parseJsonObject(row.metrics_json);
+  const cache = new Map(ticks.map((r) => [Number(r.tick_index), JSON.parse(r.payload_json)]));
+
+  const simRun = {
+    sim_run_id: row.id,
+    scenario_instance_id: row.scenario_instance_id,
+    parent_sim_run_id: row.parent_sim_run_id,
+    fork_tick: row.fork_tick,
+    city: row.city,
+    tick_minutes: Number(row.tick_minutes),
+    total_ticks: Number(row.total_ticks),
+    computed_max_tick: ticks.length ? Number(ticks[ticks.length - 1].tick_index) : -1,
+    done: true,
+    status: row.status,
+    hydrated: true,
+    cache,
+    listeners: new Set(),
+    config,
+    repair_crews: Number(config.repair_crews || 0),
+    dispatch_policy: normalizeDispatchPolicy(config.dispatch_policy),
+    failover_count: Number(summary.failover_count || 0),
+    repairs_completed: Number(summary.repairs_completed || 0),
+    stored_metrics: Object.keys(storedMetrics).length ? storedMetrics : null, // unreadable = not recorded
+  };
+
+  return simRun;
 }
 
-function pctToTickIndex(timePct, totalTicks) {
-  const p = Math.max(0, Math.min(100, Number(timePct || 0)));
-  // event can happen between ticks; visible on next tick -> ceil
-  const idx = Math.ceil((p / 100) * totalTicks);
-  return Math.max(0, Math.min(totalTicks - 1, idx));
+async function listSimRuns(db, { city, limit = 20 } = {}) {
+  const where = city ? "WHERE city = ?" : "";
+  const params = city ? [city, limit] : [limit];
+  const rows = await all(
+    db,
+    `
+    SELECT id, scenario_instance_id, parent_sim_run_id, fork_tick, city, total_ticks, tick_minutes,
+           computed_max_tick, config_json, status, created_at, finished_at
+    FROM sim_runs
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `,
+    params
+  );
+  return rows.map(({ config_json, ...r }) => {
+    const live = SIM_RUNS.get(r.id);
+    const computed_max_tick = live ? live.computed_max_tick : r.computed_max_tick;
+    return { ...r, computed_max_tick, sim_run_id: r.id, config: parseJsonObject(config_json) };
+  });
 }
 
-function avgRepairMinutes(minv, maxv) {
-  const a = Number(minv);
-  const b = Number(maxv);
-  if (!Number.isFinite(a) && !Number.isFinite(b)) return null;
-  if (!Number.isFinite(a)) return Math.trunc(b);
-  if (!Number.isFinite(b)) return Math.trunc(a);
-  return Math.trunc((a + b) / 2);
+async function deleteSimRun(db, sim_run_id) {
+  await run(db, `DELETE FROM sim_run_ticks WHERE sim_run_id = ?`, [sim_run_id]);
+  await run(db, `DELETE FROM sim_run_interventions WHERE sim_run_id = ?`, [sim_run_id]);
+  const r = await run(db, `DELETE FROM sim_runs WHERE id = ?`, [sim_run_id]);
+  SIM_RUNS.delete(sim_run_id);
+  return r.changes > 0;
 }
+//////////////////////////////////////////////
+
+app.get("/health", (req, res) => res.json({ ok: true }));
+/* ============================================================
+   Simulation APIs (Phase 2)
+   ============================================================ */
+
+// GET /api/sim/state?sim_run_id=...
+app.get("/api/sim/state", async (req, res) => {
+  try {
+    const sim_run_id = String(req.query.sim_run_id || "").trim();
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+    const run = await getSimRun(db, sim_run_id);
+    if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+
+    const forks = await all(
+      db,
+      `SELECT id AS sim_run_id, fork_tick, status FROM sim_runs WHERE parent_sim_run_id = ? ORDER BY created_at ASC`,
+      [sim_run_id]
+    );
+
+    return res.json({
+      sim_run_id: run.sim_run_id,
+      scenario_instance_id: run.scenario_instance_id,
+      parent_sim_run_id: run.parent_sim_run_id,
+      fork_tick: run.fork_tick,
+      forks,
+      city: run.city,
+      total_ticks: run.total_ticks,
+      tick_minutes: run.tick_minutes,
+      computed_max_tick: run.computed_max_tick,
+      done: run.done,
+      status: run.status,
+      tick_delay_ms: run.tick_delay_ms,
+      config: run.config,
+      failover_count: run.failover_count,
+      repair_crews: run.repair_crews,
+      repairs_completed: run.repairs_completed,
+      dispatch_policy: run.dispatch_policy,
+    });
+  } catch (err) {
+    console.error("GET /api/sim/state failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+});
+
+// GET /api/sim/tick?sim_run_id=...&tick_index=...
+app.get("/api/sim/tick", async (req, res) => {
+  try {
+    const sim_run_id = String(req.query.sim_run_id || "").trim();
+    const tick_index = Number(req.query.tick_index);
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+    if (!Number.isFinite(tick_index)) return res.status(400).json({ error: "tick_index is required" });
+
+    const run = await getSimRun(db, sim_run_id);
+    if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+
+    const t = Math.max(0, Math.min(run.total_ticks - 1, Math.trunc(tick_index)));
+    const payload = run.cache.get(t);
+
+    if (!payload) {
+      return res.json({
+        sim_run_id,
+        tick_index: t,
+        pending: true,
+        computed_max_tick: run.computed_max_tick,
+        done: run.done,
+      });
+    }
+
+    return res.json({ ...payload, pending: false, computed_max_tick: run.computed_max_tick, done: run.done });
+  } catch (err) {
+    console.error("GET /api/sim/tick failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+});
+
+// POST /api/sim/control { sim_run_id, action: pause|resume|cancel|set_speed, tick_delay_ms? }
+app.post("/api/sim/control", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const sim_run_id = String(body.sim_run_id || "").trim();
+    const action = String(body.action || "").trim().toLowerCase();
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+    const run = SIM_RUNS.get(sim_run_id);
+    if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+
+    const error = applySimControl(run, action, body);
+    if (error) return res.status(run.done ? 409 : 400).json({ error, status: run.status });
+
+    if (action === "pause" || action === "resume") {
+      await setSimRunRowStatus(db, run.sim_run_id, run.status);
+    }
+
+    return res.json({
+      sim_run_id: run.sim_run_id,
+      status: run.status,
+      tick_delay_ms: run.tick_delay_ms,
+      computed_max_tick: run.computed_max_tick,
+    });
+  } catch (err) {
+    console.error("POST /api/sim/control failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
 // ============================================================
-// Demo enhancement: auto recovery events (so the scenario improves over time)
+// Interventions: ad-hoc events injected into a live run
 // ============================================================
 
-function randInt(min, max) {
-  return Math.floor(min + Math.random() * (max - min + 1));
+// Also used as fork modifications (SET_CREWS / HARDEN / CANCEL_REPAIR are the what-if levers)
+const INTERVENTION_TYPES = {
+  DAMAGE: { needs_asset: true, default_pct: 0 },
+  RESTORE: { needs_asset: true, default_pct: 100 },
+  MOBILE_GENERATOR: { needs_asset: true, default_pct: null },
+  SET_CREWS: { needs_asset: false, default_pct: null },
+  HARDEN: { needs_asset: true, default_pct: null },
+  CANCEL_REPAIR: { needs_asset: true, default_pct: null },
+};
+
+/**
+ * Validates one intervention request against a live run (no side effects).
+ * Returns { intervention } or { error }.
+ */
+function normalizeIntervention(run, input, injected_by, index) {
+  const type = String(input?.type || "").trim().toUpperCase();
+  const spec = INTERVENTION_TYPES[type];
+  if (!spec) {
+    return {
+      error: `Unknown intervention type: ${type || "(missing)"} (${Object.keys(INTERVENTION_TYPES).join(" | ")})`,
+    };
+  }
+
+  const asset_id = spec.needs_asset ? String(input.asset_id ?? "").trim() : null;
+  if (spec.needs_asset && !assetById(run, asset_id)) {
+    return { error: `asset_id not in this run's city: ${asset_id}` };
+  }
+
+  const crew_count = type === "SET_CREWS" ? Number(input.crew_count) : null;
+  if (type === "SET_CREWS" && !(Number.isInteger(crew_count) && crew_count >= 0)) {
+    return { error: "crew_count must be a non-negative integer" };
+  }
+
+  // Takes effect from the next uncomputed tick at the earliest
+  const earliest = run.frozen_through_tick + 1;
+  if (earliest >= run.total_ticks) return { error: "No ticks left to compute in this run" };
+  const requested = input.at_tick === undefined || input.at_tick === null ? earliest : Number(input.at_tick);
+  if (!Number.isFinite(requested)) return { error: "at_tick must be a number" };
+  const tick_index = clampInt(Math.max(requested, earliest), earliest, run.total_ticks - 1);
+
+  const performance_pct =
+    spec.default_pct === null ? null : clampInt(input.performance_pct ?? spec.default_pct, 0, 100);
+  const duration_ticks = type === "MOBILE_GENERATOR" ? clampInt(input.duration_ticks ?? 12, 1, run.total_ticks) : null;
+
+  return {
+    intervention: {
+      intervention_id: `${run.sim_run_id}_iv${run.interventions.length + index + 1}`,
+      type,
+      asset_id,
+      tick_index,
+      performance_pct,
+      duration_ticks,
+      crew_count,
+      injected_by,
+      note: input.note ? String(input.note) : null,
+    },
+  };
 }
 
 /**
- * For each damaged asset event (<100%), schedule:
- * 1) a partial repair (to 50..95%) a few ticks later
- * 2) a full repair (to 100%) later
- *
- * Inserts into scenario_events with:
- * (instance_id, tick_index, event_kind, asset_id, performance_pct, repair_time_minutes, source_rule_id)
+ * Adds a normalized intervention to run.eventsByTick (after that tick's template events).
  */
+function scheduleIntervention(run, intervention) {
+  const { tick_index, asset_id, type, performance_pct, duration_ticks, crew_count } = intervention;
+  if (!run.eventsByTick.has(tick_index)) run.eventsByTick.set(tick_index, []);
+  run.eventsByTick.get(tick_index).push({
+    asset_id,
+    performance_pct: performance_pct ?? 100,
+    event_kind: type,
+    duration_ticks,
+    crew_count,
+    repair_time_minutes: null,
+    repair_time_min: null,
+    repair_time_max: null,
+    intervention,
+  });
+  run.interventions.push(intervention);
+}
+
+async function insertInterventionRow(db, sim_run_id, iv) {
+  await run(
+    db,
+    `
+    INSERT INTO sim_run_interventions
+      (id, sim_run_id, tick_index, intervention_type, asset_id, performance_pct, duration_ticks, crew_count, injected_by, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      iv.intervention_id,
+      sim_run_id,
+      iv.tick_index,
+      iv.type,
+      iv.asset_id,
+      iv.performance_pct,
+      iv.duration_ticks,
+      iv.crew_count,
+      iv.injected_by,
+      iv.note,
+    ]
+  );
+}
+
+// POST /api/sim/inject
+// { sim_run_id, injected_by, interventions: [{ type, asset_id, at_tick?, performance_pct?, duration_ticks?, note? }] }
+app.post("/api/sim/inject", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const sim_run_id = String(body.sim_run_id || "").trim();
+    const injected_by = String(body.injected_by || "").trim() || "facilitator";
+    const inputs = Array.isArray(body.interventions) ? body.interventions : [body];
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+    const run = SIM_RUNS.get(sim_run_id);
+    if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+    if (run.done) return res.status(409).json({ error: `Simulation already finished (${run.status}).` });
+
+    // Validate everything first so a bad entry doesn't leave a half-applied batch
+    const scheduled = [];
+    for (const [i, input] of inputs.entries()) {
+      const { intervention, error } = normalizeIntervention(run, input, injected_by, i);
+      if (error) return res.status(400).json({ error, index: i });
+      scheduled.push(intervention);
+    }
 
+    // Schedule synchronously (before the compute loop can move on), then record
+    scheduled.forEach((intervention) => scheduleIntervention(run, intervention));
+    if (run.persist) {
+      for (const intervention of scheduled) await insertInterventionRow(db, run.sim_run_id, intervention);
+    }
 
-async function injectAutoRecoveries(db, instance_id, { totalTicks, tick_minutes }) {
-  const damageEvents = await all(
+    return res.json({
+      sim_run_id: run.sim_run_id,
+      computed_max_tick: run.computed_max_tick,
+      interventions: scheduled,
+    });
+  } catch (err) {
+    console.error("POST /api/sim/inject failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// GET /api/sim/interventions?sim_run_id=...
+app.get("/api/sim/interventions", async (req, res) => {
+  try {
+    const sim_run_id = String(req.query.sim_run_id || "").trim();
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+    const rows = await all(
+      db,
+      `
+      SELECT id AS intervention_id, tick_index, intervention_type AS type, asset_id,
+             performance_pct, duration_ticks, crew_count, injected_by, note, created_at
+      FROM sim_run_interventions
+      WHERE sim_run_id = ?
+      ORDER BY tick_index ASC, rowid ASC
+    `,
+      [sim_run_id]
+    );
+    return res.json({ sim_run_id, interventions: rows });
+  } catch (err) {
+    console.error("GET /api/sim/interventions failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// ============================================================
+// What-if forks: replay a finished run up to tick T, then change the future
+// ============================================================
+// The engine is deterministic per instance seed, so instead of snapshotting
+// perfPctById (which would miss crews, queued jobs, feeds and the RNG state) the
+// child recomputes ticks 0..T-1 from the same instance plus the parent's
+// interventions, and the modifications are scheduled at tick T.
+
+async function loadRunInterventions(db, sim_run_id, beforeTick) {
+  return all(
     db,
     `
-    SELECT tick_index, asset_id, performance_pct
-    FROM scenario_events
-    WHERE instance_id = ?
-      AND performance_pct < 100
-    ORDER BY tick_index ASC
+    SELECT intervention_type AS type, tick_index, asset_id, performance_pct,
+           duration_ticks, crew_count, injected_by, note
+    FROM sim_run_interventions
+    WHERE sim_run_id = ? AND tick_index < ?
+    ORDER BY tick_index ASC, rowid ASC
   `,
-    [String(instance_id)]
+    [sim_run_id, beforeTick]
   );
+}
 
-  if (!damageEvents.length) return { added: 0 };
+/**
+ * Hash of everything a replay reads from the city graph (assets and active dependencies).
+ */
+function cityGraphFingerprint(assets, deps) {
+  const lines = [
+    ...assets.map((a) => `a|${a.id}|${a.sector}|${a.subtype}|${a.criticality}|${a.lat}|${a.lng}`),
+    ...deps.map((d) => `d|${d.provider_asset_id}|${d.consumer_asset_id}|${d.dependency_type}|${d.priority}`),
+  ].sort();
+  return crypto.createHash("sha1").update(lines.join("\n")).digest("hex");
+}
 
-  let added = 0;
-  const seen = new Set(); // de-dup: instance|asset|tick|pct
+/**
+ * Returns { run } for the launched child, or { status, error } when the request is invalid.
+ * The child replays the parent's ticks before fork_tick from the same instance, seed and interventions,
+ * so it refuses to fork once the city's assets or dependencies changed (runs stored before
+ * fingerprints existed are not checked).
+ */
+async function forkSimRun(db, parent, { fork_tick, modifications = [], forked_by = "planner" }) {
+  if (!parent.done) return { status: 409, error: "Only finished runs can be forked." };
 
-  for (const ev of damageEvents) {
-    const t0 = Math.max(0, Math.trunc(Number(ev.tick_index || 0)));
-    const assetId = String(ev.asset_id);
-    const damagedPct = clampInt(ev.performance_pct ?? 100, 0, 100);
+  const T = Number(fork_tick);
+  const lastForkable = Math.min(parent.computed_max_tick + 1, parent.total_ticks - 1);
+  if (!Number.isInteger(T) || T < 0 || T > lastForkable) {
+    return { status: 400, error: `fork_tick must be an integer between 0 and ${lastForkable}` };
+  }
 
-    // Demo tuning: you can adjust these windows later
-    const partialDelay = randInt(2, 10);
-    const fullDelay = randInt(8, 40);
+  const child = await buildSimulationRun(db, parent.scenario_instance_id);
+  const parentGraph = parent.config?.graph_fingerprint;
+  if (parentGraph && parentGraph !== child.config.graph_fingerprint) {
+    return {
+      status: 409,
+      error: `The city's assets or dependencies changed since ${parent.sim_run_id} ran, so a fork would not replay it. Start a new run instead.`,
+    };
+  }
+  child.parent_sim_run_id = parent.sim_run_id;
+  child.fork_tick = T;
+  child.replay_until_tick = T;
+  child.config = { ...child.config, parent_sim_run_id: parent.sim_run_id, fork_tick: T };
+
+  // Inherited history, exactly as the parent saw it
+  const inherited = await loadRunInterventions(db, parent.sim_run_id, T);
+  inherited.forEach((iv, i) =>
+    scheduleIntervention(child, { ...iv, intervention_id: `${child.sim_run_id}_iv${i + 1}` })
+  );
+
+  // The what-if: everything lands on tick T
+  child.frozen_through_tick = T - 1;
+  const scheduled = [];
+  for (const [i, input] of modifications.entries()) {
+    const { intervention, error } = normalizeIntervention(child, { ...input, at_tick: T }, forked_by, i);
+    if (error) return { status: 400, error: `modifications[${i}]: ${error}` };
+    scheduled.push(intervention);
+  }
+  scheduled.forEach((intervention) => scheduleIntervention(child, intervention));
+  child.frozen_through_tick = -1;
+
+  await launchSimulationRun(db, child);
+
+  return { run: child, modifications: scheduled };
+}
+
+// POST /api/sim/fork
+// { sim_run_id, fork_tick, forked_by?, modifications: [{ type: SET_CREWS|HARDEN|CANCEL_REPAIR|DAMAGE|RESTORE|MOBILE_GENERATOR, ... }] }
+app.post("/api/sim/fork", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const sim_run_id = String(body.sim_run_id || "").trim();
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+    if (!Array.isArray(body.modifications) || !body.modifications.length) {
+      return res.status(400).json({ error: "modifications[] is required" });
+    }
+
+    const parent = await getSimRun(db, sim_run_id);
+    if (!parent) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+
+    const forked_by = String(body.forked_by || "").trim() || "planner";
+    const out = await forkSimRun(db, parent, { fork_tick: body.fork_tick, modifications: body.modifications, forked_by });
+    if (out.error) return res.status(out.status).json({ error: out.error });
+
+    return res.json({
+      sim_run_id: out.run.sim_run_id,
+      parent_sim_run_id: parent.sim_run_id,
+      fork_tick: out.run.fork_tick,
+      scenario_instance_id: out.run.scenario_instance_id,
+      city: out.run.city,
+      total_ticks: out.run.total_ticks,
+      dispatch_policy: out.run.dispatch_policy,
+      modifications: out.modifications,
+      state: "running",
+    });
+  } catch (err) {
+    console.error("POST /api/sim/fork failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+});
+
+// GET /api/sim/metrics?sim_run_id=...
+// Resilience loss, minimum performance, time to 90% / 100% and criticality-weighted asset-hours lost,
+// per sector and city-wide. complete=false while the run is still computing (or was cancelled).
+app.get("/api/sim/metrics", async (req, res) => {
+  try {
+    const sim_run_id = String(req.query.sim_run_id || "").trim();
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+    const simRun = await getSimRun(db, sim_run_id);
+    if (!simRun) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+
+    const metrics = simRunMetrics(simRun);
+    if (!metrics) return res.status(404).json({ error: `No metrics were recorded for run ${sim_run_id}` });
+
+    return res.json({ sim_run_id, status: simRun.status, done: simRun.done, ...metrics });
+  } catch (err) {
+    console.error("GET /api/sim/metrics failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+});
+
+// ============================================================
+// Run comparison (e.g. 10 crews vs 20 crews)
+// ============================================================
+
+// GET /api/sim/compare?a=<sim_run_id>&b=<sim_run_id>&threshold=95
+// Deltas are always B minus A.
+app.get("/api/sim/compare", async (req, res) => {
+  try {
+    const idA = String(req.query.a || "").trim();
+    const idB = String(req.query.b || "").trim();
+    if (!idA || !idB) return res.status(400).json({ error: "a and b (sim_run_id) are required" });
+
+    const threshold = clamp(Number(req.query.threshold ?? MC_DEFAULT_RECOVERY_THRESHOLD_PCT) || 0, 1, 100);
+
+    const runA = await getSimRun(db, idA);
+    if (!runA) return res.status(404).json({ error: `sim_run_id not found: ${idA}` });
+    const runB = await getSimRun(db, idB);
+    if (!runB) return res.status(404).json({ error: `sim_run_id not found: ${idB}` });
+
+    if (!runA.done || !runB.done) return res.status(409).json({ error: "Both runs must be finished to compare them." });
+    if (runA.city !== runB.city) {
+      return res.status(400).json({ error: `Runs are for different cities (${runA.city} vs ${runB.city}).` });
+    }
+    if (runA.tick_minutes !== runB.tick_minutes) {
+      return res.status(400).json({ error: "Runs use different tick lengths and cannot be compared tick by tick." });
+    }
+
+    const assets = await all(db, `SELECT id, name, sector, criticality FROM assets WHERE city = ?`, [runA.city]);
+    const assetsById = new Map(assets.map((a) => [String(a.id), a]));
+
+    const insightsA = runInsights(runA, assetsById, { threshold });
+    const insightsB = runInsights(runB, assetsById, { threshold });
+    const totalTicks = Math.max(runA.total_ticks, runB.total_ticks);
+
+    const describe = (r) => ({
+      sim_run_id: r.sim_run_id,
+      status: r.status,
+      total_ticks: r.total_ticks,
+      scenario: r.config?.scenario || null,
+      repair_crews: r.repair_crews,
+      dispatch_policy: r.dispatch_policy,
+      random_seed: r.config?.random_seed ?? null,
+      parent_sim_run_id: r.parent_sim_run_id || null,
+      fork_tick: r.fork_tick ?? null,
+    });
+
+    return res.json({
+      city: runA.city,
+      tick_minutes: runA.tick_minutes,
+      total_ticks: totalTicks,
+      recovery_threshold_pct: threshold,
+      a: describe(runA),
+      b: describe(runB),
+      ...compareRunInsights(insightsA, insightsB, assetsById, totalTicks),
+    });
+  } catch (err) {
+    console.error("GET /api/sim/compare failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+});
+
+// Comment line sent periodically so proxies don't drop an idle stream
+const SIM_STREAM_KEEPALIVE_MS = 15000;
+
+// GET /api/sim/stream?sim_run_id=...   (Server-Sent Events)
+// event "tick" (id = tick_index, data = tick payload), then event "done".
+// Reconnects resume after Last-Event-ID (or ?from_tick=N).
+app.get("/api/sim/stream", async (req, res) => {
+  const sim_run_id = String(req.query.sim_run_id || "").trim();
+  if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+  let run;
+  try {
+    run = await getSimRun(db, sim_run_id);
+  } catch (err) {
+    console.error("GET /api/sim/stream failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+  if (!run) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+
+  // A reconnect resumes after the last tick the client got; ids outside the run are clamped to it
+  const lastEventId = Number.parseInt(req.get("Last-Event-ID") ?? "", 10);
+  let next = Number.isNaN(lastEventId)
+    ? clampInt(req.query.from_tick ?? 0, 0, run.total_ticks)
+    : clampInt(lastEventId + 1, 0, run.total_ticks);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let keepalive = null;
+  const cleanup = () => {
+    clearInterval(keepalive);
+    run.listeners.delete(flush);
+  };
+
+  // Headers are already sent: a failed write drops the stream (the client reconnects with Last-Event-ID)
+  const abort = (err) => {
+    console.warn(`sim stream ${sim_run_id} failed:`, err);
+    cleanup();
+    res.destroy();
+  };
+
+  // Sends every tick computed since the last flush; ends the stream once the run is done
+  function flush() {
+    try {
+      while (run.cache.has(next)) {
+        send("tick", run.cache.get(next), next);
+        next++;
+      }
+      if (!run.done) return;
+
+      send("done", {
+        sim_run_id: run.sim_run_id,
+        status: run.status,
+        computed_max_tick: run.computed_max_tick,
+        total_ticks: run.total_ticks,
+      });
+      cleanup();
+      res.end();
+    } catch (err) {
+      abort(err);
+    }
+  }
+
+  run.listeners.add(flush);
+  keepalive = setInterval(() => {
+    try {
+      res.write(": keepalive\n\n");
+    } catch (err) {
+      abort(err);
+    }
+  }, SIM_STREAM_KEEPALIVE_MS);
+  res.on("close", cleanup);
+  flush();
+});
+
+// GET /api/sim/runs?city=...&limit=...
+app.get("/api/sim/runs", async (req, res) => {
+  try {
+    const city = String(req.query.city || "").trim();
+    const limit = clampInt(req.query.limit ?? 20, 1, 200);
+    return res.json({ runs: await listSimRuns(db, { city, limit }) });
+  } catch (err) {
+    console.error("GET /api/sim/runs failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// DELETE /api/sim/run?sim_run_id=...
+app.delete("/api/sim/run", async (req, res) => {
+  try {
+    const sim_run_id = String(req.query.sim_run_id || "").trim();
+    if (!sim_run_id) return res.status(400).json({ error: "sim_run_id is required" });
+
+    const live = SIM_RUNS.get(sim_run_id);
+    if (live && !live.done) {
+      return res.status(409).json({ error: "Simulation is still running; cancel it first." });
+    }
+
+    const deleted = await deleteSimRun(db, sim_run_id);
+    if (!deleted) return res.status(404).json({ error: `sim_run_id not found: ${sim_run_id}` });
+    return res.json({ ok: true, sim_run_id });
+  } catch (err) {
+    console.error("DELETE /api/sim/run failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+
+/* ============================================================
+   Scenario Prepare API (Option A) - create instance + events
+   ============================================================ */
+
+// Anchors a template needs come from its rules (see templateAnchorVocabulary).
+// A prepare body may name another template of the same hazard_type (template_id): e.g. WF_021
+// takes the wildfire's fire front as a drawn line / polygon (GEO_AREA) instead of a point.
+// workforce: staff absenteeism limits crews and staffed assets over the run (workforce.js)
+const SCENARIO_TO_TEMPLATE = {
+  earthquake: { template_id: "EQ_030", hazard_type: "EARTHQUAKE" },
+  cyber_attack: { template_id: "CY_020", hazard_type: "CYBER" },
+  tsunami: { template_id: "TS_025", hazard_type: "TSUNAMI" },
+  pandemic: { template_id: "PD_040", hazard_type: "PANDEMIC", workforce: true },
+  severe_storm: { template_id: "SS_020", hazard_type: "SEVERE_STORM" },
+  wildfire: { template_id: "WF_020", hazard_type: "WILDFIRE" },
+};
+
+// Names older clients send -> the geo_anchor the rules use
+const ANCHOR_ALIASES = {
+  FIRE_ORIGIN: "FIRE_FRONT",
+  IMPACT_CENTER: "FLOOD_POCKET",
+};
+
+// Anchors that may be omitted: how prepare derives them instead
+const ANCHOR_FALLBACKS = {
+  CITY_CENTER: "ASSET_CENTROID",
+};
+
+function normalizeAnchorType(type) {
+  const t = String(type || "").trim().toUpperCase();
+  return ANCHOR_ALIASES[t] || t;
+}
+
+// Scopes whose rules select around an anchor
+const ANCHORED_SCOPES = ["GEO_RADIUS", "GEO_AREA"];
+
+/**
+ * Declared anchor vocabulary of a template: every geo_anchor its GEO_RADIUS / GEO_AREA rules reference.
+ * [{ type, required, fallback, needs_geometry, rules, max_radius_km }], required ones first.
+ * needs_geometry: a GEO_AREA rule uses it, so a drawn Polygon / LineString must be supplied.
+ */
+function templateAnchorVocabulary(rules) {
+  const byType = new Map();
+  for (const rule of rules) {
+    const scope = String(rule.selection_scope || "").toUpperCase();
+    if (!ANCHORED_SCOPES.includes(scope)) continue;
+    const type = normalizeAnchorType(rule.geo_anchor || "CITY_CENTER");
+    if (!byType.has(type)) {
+      byType.set(type, {
+        type,
+        required: !ANCHOR_FALLBACKS[type],
+        fallback: ANCHOR_FALLBACKS[type] || null,
+        needs_geometry: false,
+        rules: 0,
+        max_radius_km: 0,
+      });
+    }
+    const entry = byType.get(type);
+    entry.rules++;
+    if (scope === "GEO_AREA") entry.needs_geometry = true;
+    entry.max_radius_km = Math.max(entry.max_radius_km, Number(rule.geo_param_1_km || 0));
+  }
+  return [...byType.values()].sort((a, b) => Number(b.required) - Number(a.required) || a.type.localeCompare(b.type));
+}
+
+/**
+ * Validates submitted anchors against the vocabulary and fills in fallbacks.
+ * Several anchors of one type are allowed (e.g. three flood pockets).
+ * An anchor is a point ({ type, lat, lng }) or a drawn shape ({ type, geometry }: GeoJSON
+ * Polygon / LineString); shapes get lat/lng from their center unless given.
+ */
+async function resolveScenarioAnchors(db, city, vocabulary, input) {
+  const anchors = [];
+  for (const [i, a] of input.entries()) {
+    const type = normalizeAnchorType(a?.type);
+    let geometry = null;
+    if (a?.geometry != null) {
+      const norm = normalizeAnchorGeometry(a.geometry);
+      if (norm.error) throw prepareInputError(`anchors[${i}]: ${norm.error}`);
+      geometry = norm.geometry;
+    }
+    const center = geometry ? geometryCenter(geometry) : null;
+    const lat = Number(a?.lat ?? center?.lat);
+    const lng = Number(a?.lng ?? center?.lng);
+    if (!type || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw prepareInputError(`anchors[${i}] needs type and lat/lng or geometry`);
+    }
+    if (!vocabulary.some((v) => v.type === type)) {
+      throw prepareInputError(`Anchor ${type} is not used by this scenario`, {
+        anchors: vocabulary.map((v) => v.type),
+      });
+    }
+    anchors.push(geometry ? { type, lat, lng, geometry } : { type, lat, lng });
+  }
+
+  const missing = vocabulary.filter((v) => v.required && !anchors.some((a) => a.type === v.type));
+  if (missing.length) {
+    throw prepareInputError(`Missing required anchor: ${missing.map((v) => v.type).join(", ")}`, {
+      required_anchors: missing.map((v) => v.type),
+    });
+  }
+
+  const undrawn = vocabulary.filter((v) => v.needs_geometry && v.required && !anchors.some((a) => a.type === v.type && a.geometry));
+  if (undrawn.length) {
+    throw prepareInputError(`Anchor needs a drawn polygon or line: ${undrawn.map((v) => v.type).join(", ")}`, {
+      required_anchors: undrawn.map((v) => v.type),
+      needs_geometry: true,
+    });
+  }
+
+  for (const v of vocabulary) {
+    if (v.fallback !== "ASSET_CENTROID" || anchors.some((a) => a.type === v.type)) continue;
+    const c = await get(db, `SELECT AVG(lat) AS lat, AVG(lng) AS lng FROM assets WHERE city = ?`, [city]);
+    if (c?.lat != null) anchors.push({ type: v.type, lat: c.lat, lng: c.lng, derived: true });
+  }
+
+  return anchors;
+}
+
+function nowId(prefix = "scn") {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${prefix}_${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}_${Math.random().toString(16).slice(2, 8)}`;
+}
+
+/**
+ * Missing -> fresh random seed; integers (or integer strings) -> uint32; anything else -> null.
+ */
+function parseRandomSeed(v) {
+  if (v === undefined || v === null || v === "") return Math.floor(Math.random() * 0x100000000);
+  const n = Number(v);
+  if (!Number.isInteger(n)) return null;
+  return n >>> 0;
+}
+
+function clampInt(n, lo, hi) {
+  const x = Math.trunc(Number(n));
+  if (!Number.isFinite(x)) return lo;
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function pickCount(target_mode, target_value, candidatesCount) {
+  const mode = String(target_mode || "").toUpperCase();
+  const val = Number(target_value || 0);
+
+  if (mode === "COUNT") {
+    return clampInt(val, 0, candidatesCount);
+  }
+  // default PCT
+  const pct = Math.max(0, Math.min(100, val));
+  return clampInt(Math.ceil((pct / 100) * candidatesCount), 0, candidatesCount);
+}
+
+/**
+ * Rule time (% of duration) shifted uniformly within ±time_jitter_pct.
+ */
+function jitteredTimePct(rule, rng) {
+  const base = Number(rule.time_pct || 0);
+  const jitter = Math.max(0, Number(rule.time_jitter_pct || 0));
+  if (!jitter) return base;
+  return base + (rng() * 2 - 1) * jitter;
+}
+
+function pctToTickIndex(timePct, totalTicks) {
+  const p = Math.max(0, Math.min(100, Number(timePct || 0)));
+  // event can happen between ticks; visible on next tick -> ceil
+  const idx = Math.ceil((p / 100) * totalTicks);
+  return Math.max(0, Math.min(totalTicks - 1, idx));
+}
+
+function avgRepairMinutes(minv, maxv) {
+  const a = Number(minv);
+  const b = Number(maxv);
+  if (!Number.isFinite(a) && !Number.isFinite(b)) return null;
+  if (!Number.isFinite(a)) return Math.trunc(b);
+  if (!Number.isFinite(b)) return Math.trunc(a);
+  return Math.trunc((a + b) / 2);
+}
+// ============================================================
+// Demo enhancement: auto recovery events (so the scenario improves over time)
+// ============================================================
+
+function randInt(min, max, rng = Math.random) {
+  return Math.floor(min + rng() * (max - min + 1));
+}
+
+/**
+ * For each damaged asset event (<100%), schedule:
+ * 1) a partial repair (to 50..95%) a few ticks later
+ * 2) a full repair (to 100%) later
+ *
+ * events: the instance's events in insertion order; returns the REPAIR_PARTIAL / REPAIR_FULL
+ * events to store with them ({ tick_index, event_kind, asset_id, performance_pct, repair_time_minutes }).
+ */
+function autoRecoveryEvents(events, { totalTicks, tick_minutes, rng = Math.random }) {
+  const damageEvents = events
+    .filter((ev) => ev.performance_pct < 100)
+    .sort((x, y) => x.tick_index - y.tick_index); // stable: insertion order within a tick
+
+  const recoveries = [];
+  const seen = new Set(); // de-dup: asset|tick|pct
+
+  for (const ev of damageEvents) {
+    const t0 = Math.max(0, Math.trunc(Number(ev.tick_index || 0)));
+    const assetId = String(ev.asset_id);
+    const damagedPct = clampInt(ev.performance_pct ?? 100, 0, 100);
+
+    // Demo tuning: you can adjust these windows later
+    const partialDelay = randInt(2, 10, rng);
+    const fullDelay = randInt(8, 40, rng);
+
+    const tPartial = Math.min(totalTicks - 1, t0 + partialDelay);
+    const tFull = Math.min(totalTicks - 1, t0 + fullDelay);
+
+    // Partial recovery target: ensure it becomes DEGRADED (>=50), and improves vs damagedPct
+    const partialPct = Math.max(50, Math.min(95, damagedPct + randInt(20, 45, rng)));
+
+    // Repair time minutes (for story / later use)
+    const partialRepairMin = partialDelay * tick_minutes;
+    const fullRepairMin = fullDelay * tick_minutes;
+
+    // Partial repair if it improves
+    if (partialPct > damagedPct && tPartial > t0) {
+      const key = `${assetId}|${tPartial}|${partialPct}`;
+      if (!seen.has(key)) {
+        recoveries.push({
+          tick_index: tPartial,
+          event_kind: "REPAIR_PARTIAL",
+          asset_id: assetId,
+          performance_pct: partialPct,
+          repair_time_minutes: partialRepairMin,
+        });
+        seen.add(key);
+      }
+    }
+
+    // Full repair
+    if (tFull > t0) {
+      const key2 = `${assetId}|${tFull}|100`;
+      if (!seen.has(key2)) {
+        recoveries.push({
+          tick_index: tFull,
+          event_kind: "REPAIR_FULL",
+          asset_id: assetId,
+          performance_pct: 100,
+          repair_time_minutes: fullRepairMin,
+        });
+        seen.add(key2);
+      }
+    }
+  }
+
+  return recoveries;
+}
+
+async function fetchRules(db, templateId) {
+  return all(
+    db,
+    `
+    SELECT
+      rule_id, template_id,
+      event_kind, time_pct, time_jitter_pct,
+      selection_scope, sector, subtype,
+      target_mode, target_value, allow_reuse_asset,
+      performance_pct, repair_time_min, repair_time_max,
+      geo_anchor, geo_param_1_km, centrality_metric, intensity_model, spread_model, priority, notes
+    FROM scenario_template_rules
+    WHERE template_id = ? AND enabled = 1
+    ORDER BY time_pct ASC, priority DESC, rule_id ASC
+    `,
+    [templateId]
+  );
+}
+
+async function fetchAssetsByCitySectorSubtype(db, city, sector, subtype) {
+  return all(
+    db,
+    `
+    SELECT id, lat, lng, criticality
+    FROM assets
+    WHERE city = ? AND sector = ? AND subtype = ?
+    ORDER BY id ASC
+    `,
+    [city, sector, subtype]
+  );
+}
+
+/**
+ * Picks the rule's target assets. Returns assets; intensity-model picks also carry
+ * performance_pct / intensity for that asset.
+ * - centrality: Map asset_id -> score for the rule's centrality_metric (GRAPH_CENTRALITY rules only)
+ * - hazardParams: instance hazard_params (rules with an intensity_model)
+ */
+function selectAssetsForRule(rule, candidates, { anchors, rng, centrality = null, hazardParams = null }) {
+  const scope = String(rule.selection_scope || "").toUpperCase();
+  let pool = candidates.slice();
+
+  // GEO_RADIUS: within the radius of any anchor of the rule's type (0 km = no cut-off);
+  // distances to a drawn anchor are measured from its shape (0 inside a polygon)
+  if (scope === "GEO_RADIUS") {
+    const anchorKey = normalizeAnchorType(rule.geo_anchor || "CITY_CENTER");
+    const near = anchors.filter((x) => x.type === anchorKey);
+    const rKm = Number(rule.geo_param_1_km || 0);
+
+    if (near.length && rKm > 0) {
+      pool = pool.filter((c) => nearestAnchorKm(c, near) <= rKm);
+    }
+
+    const model = String(rule.intensity_model || "").toUpperCase();
+    if (near.length && model in HAZARD_MODELS && String(rule.event_kind).toUpperCase() === "IMPACT") {
+      return selectAssetsByIntensity(rule, pool, { model, near, rng, hazardParams });
+    }
+  }
+
+  // GEO_AREA: inside a drawn polygon, or within geo_param_1_km of a drawn line / polygon edge.
+  // Point anchors do not count; without a drawn anchor the rule selects nothing.
+  if (scope === "GEO_AREA") {
+    const anchorKey = normalizeAnchorType(rule.geo_anchor || "CITY_CENTER");
+    const shapes = anchors.filter((x) => x.type === anchorKey && x.geometry);
+    const bufferKm = Math.max(0, Number(rule.geo_param_1_km || 0));
+    pool = shapes.length ? pool.filter((c) => nearestAnchorKm(c, shapes) <= bufferKm) : [];
+  }
+
+  // GRAPH_CENTRALITY: most central in the city's dependency graph first
+  if (scope === "GRAPH_CENTRALITY") {
+    pool = rankByCentrality(pool, centrality || new Map());
+  } else {
+    // GEO_SCATTER / default: seeded random pick (same seed -> same assets)
+    pool = shuffled(pool, rng);
+  }
+
+  const k = pickCount(rule.target_mode, rule.target_value, pool.length);
+  return pool.slice(0, k);
+}
+
+/**
+ * Intensity-field pick: each asset is damaged with probability = severity at its location
+ * (one seeded draw per asset, in id order), and its performance drops in proportion to severity.
+ * The rule's target_value still caps how many assets are hit (highest intensity first).
+ */
+function selectAssetsByIntensity(rule, pool, { model, near, rng, hazardParams }) {
+  const hit = [];
+  for (const c of pool) {
+    const { intensity, severity } = assetHazard(model, c, near, hazardParams);
+    if (severity > 0 && rng() < severity) {
+      hit.push({ ...c, intensity, performance_pct: damagedPerformance(rule.performance_pct, severity) });
+    }
+  }
+
+  hit.sort((x, y) => y.intensity - x.intensity || String(x.id).localeCompare(String(y.id)));
+  return hit.slice(0, pickCount(rule.target_mode, rule.target_value, pool.length));
+}
+
+/**
+ * Spreading hazards of a template, one per (spread_model, geo_anchor) of its anchored IMPACT rules:
+ * [{ model, anchor_type, start_tick, max_km }]. The hazard starts at the earliest of those rules
+ * (start_tick) and stops growing at the widest radius / buffer (max_km; null = no limit).
+ */
+function templateSpreads(rules, totalTicks) {
+  const byKey = new Map();
+  for (const rule of rules) {
+    const model = String(rule.spread_model || "").toUpperCase();
+    const scope = String(rule.selection_scope || "").toUpperCase();
+    if (!(model in SPREAD_MODELS) || !ANCHORED_SCOPES.includes(scope)) continue;
+    if (String(rule.event_kind).toUpperCase() !== "IMPACT") continue;
+
+    const anchor_type = normalizeAnchorType(rule.geo_anchor || "CITY_CENTER");
+    const key = `${model}|${anchor_type}`;
+    const start_tick = pctToTickIndex(rule.time_pct, totalTicks);
+    const km = Number(rule.geo_param_1_km || 0);
+    const prev = byKey.get(key);
+    byKey.set(key, {
+      model,
+      anchor_type,
+      start_tick: prev ? Math.min(prev.start_tick, start_tick) : start_tick,
+      max_km: !km || (prev && prev.max_km === null) ? null : Math.max(prev?.max_km || 0, km),
+    });
+  }
+  return [...byKey.values()];
+}
+
+// The spread a rule's timing follows: only anchored IMPACT rules, like templateSpreads
+function ruleSpread(rule, spreads) {
+  if (String(rule.event_kind).toUpperCase() !== "IMPACT") return null;
+  if (!ANCHORED_SCOPES.includes(String(rule.selection_scope || "").toUpperCase())) return null;
+  const model = String(rule.spread_model || "").toUpperCase();
+  const anchor_type = normalizeAnchorType(rule.geo_anchor || "CITY_CENTER");
+  return spreads.find((sp) => sp.model === model && sp.anchor_type === anchor_type) || null;
+}
+
+/**
+ * The rules with the footprint of anchored scopes (geo_param_1_km) resized by
+ * hazard_params.radius_scale_pct (0 km, "no cut-off", stays 0).
+ */
+function scaleRuleFootprints(rules, radiusScalePct) {
+  if (radiusScalePct === 100) return rules;
+  return rules.map((r) =>
+    ANCHORED_SCOPES.includes(String(r.selection_scope || "").toUpperCase())
+      ? { ...r, geo_param_1_km: (Number(r.geo_param_1_km || 0) * radiusScalePct) / 100 }
+      : r
+  );
+}
+
+/**
+ * Why an anchored rule with candidates selected none of them (dry-run / prepare warnings).
+ */
+function emptySelectionReason(rule, anchors) {
+  const scope = String(rule.selection_scope || "").toUpperCase();
+  const anchorKey = normalizeAnchorType(rule.geo_anchor || "CITY_CENTER");
+  const km = Number(rule.geo_param_1_km || 0);
+  if (scope === "GEO_RADIUS") {
+    if (!anchors.some((x) => x.type === anchorKey)) return `no ${anchorKey} anchor`;
+    if (rule.intensity_model) return `none damaged at this intensity within ${km ? `${km} km` : "range"} of ${anchorKey}`;
+    return `none within ${km} km of ${anchorKey}`;
+  }
+  if (scope === "GEO_AREA") {
+    if (!anchors.some((x) => x.type === anchorKey && x.geometry)) return `no drawn ${anchorKey} area`;
+    return `none inside the ${anchorKey} area${km ? ` or within ${km} km of it` : ""}`;
+  }
+  return `target ${rule.target_value}${rule.target_mode === "PCT" ? "%" : ""} rounds to no asset`;
+}
+
+/**
+ * Thrown by prepareScenarioInstance for invalid input (mapped to HTTP 400).
+ */
+function prepareInputError(message, extra = {}) {
+  const err = new Error(message);
+  err.status = 400;
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * The template a scenario prepares from: its built-in one, or a template_id of the same hazard
+ * (a clone edited through the template API). Disabled templates cannot be prepared.
+ */
+async function resolveScenarioTemplate(db, scenario, templateId, where = "") {
+  const mapping = SCENARIO_TO_TEMPLATE[scenario];
+  const id = String(templateId || "").trim() || mapping.template_id;
+  const template = await get(db, `SELECT template_id, hazard_type, is_active FROM scenario_templates WHERE template_id = ?`, [
+    id,
+  ]);
+  if (!template) throw prepareInputError(`${where}Unknown template_id: ${id}`);
+  if (String(template.hazard_type).toUpperCase() !== mapping.hazard_type) {
+    throw prepareInputError(`${where}Template ${id} has hazard_type ${template.hazard_type}, not ${mapping.hazard_type}`);
+  }
+  if (!Number(template.is_active)) throw prepareInputError(`${where}Template ${id} is disabled`);
+  return { ...mapping, template_id: id };
+}
+
+/**
+ * resolveScenarioTemplate plus the template version prepare records. Only computed here: a
+ * changed template gets its new version stored once the whole body is valid (never on dry runs).
+ */
+async function resolveVersionedTemplate(db, scenario, templateId, where) {
+  const mapping = await resolveScenarioTemplate(db, scenario, templateId, where);
+  return { ...mapping, template_version: await currentTemplateVersion(db, mapping.template_id) };
+}
+
+// Compound scenarios: how many hazards one instance may stack
+const MAX_COMPOUND_STAGES = 4;
+
+/**
+ * Hazard stages of a prepare body, each with its template rules, hazard_params and anchors.
+ * A plain { scenario, anchors, hazard_params } body is a single stage; a compound body stacks
+ * several: stages: [{ scenario, start_hours, duration_hours?, anchors?, hazard_params? }].
+ * A stage's rules spread their time_pct over its own window (from start_hours, for duration_hours
+ * or the rest of the run). Stage hazard_params override the body-level ones.
+ */
+async function resolvePrepareStages(db, body, { city, duration_hours, tick_minutes, totalTicks }) {
+  const compound = Array.isArray(body.stages);
+  const input = compound
+    ? body.stages
+    : [{ scenario: body.scenario, template_id: body.template_id, anchors: body.anchors }];
+  if (compound && (!input.length || input.length > MAX_COMPOUND_STAGES)) {
+    throw prepareInputError(`stages must list 1 to ${MAX_COMPOUND_STAGES} hazards`);
+  }
+
+  const stages = [];
+  for (const [index, st] of input.entries()) {
+    const where = compound ? `stages[${index}]: ` : "";
+    const scenario = String(st?.scenario || "").trim(); // earthquake, tsunami, ...
+    if (!scenario) throw prepareInputError(`${where}Missing scenario`);
+    if (!SCENARIO_TO_TEMPLATE[scenario]) throw prepareInputError(`${where}Unknown scenario: ${scenario}`);
+    const mapping = await resolveVersionedTemplate(db, scenario, st.template_id, where);
+
+    const startHours = Number(st.start_hours ?? 0);
+    if (!Number.isFinite(startHours) || startHours < 0 || startHours >= duration_hours) {
+      throw prepareInputError(`${where}start_hours must be at least 0 and below duration_hours (${duration_hours})`);
+    }
+    const windowHours = st.duration_hours == null ? null : Number(st.duration_hours);
+    if (windowHours !== null && !(windowHours > 0)) {
+      throw prepareInputError(`${where}duration_hours must be a positive number`);
+    }
+    const start_tick = Math.min(totalTicks - 1, Math.trunc((startHours * 60) / tick_minutes));
+    const end_tick =
+      windowHours === null
+        ? totalTicks
+        : Math.min(totalTicks, start_tick + Math.max(1, Math.trunc((windowHours * 60) / tick_minutes)));
+
+    // Magnitude, flood depth, ... for rules with an intensity_model
+    const { params, error } = resolveHazardParams({ ...body.hazard_params, ...st.hazard_params });
+    if (error) throw prepareInputError(`${where}${error}`);
+
+    // Every geo_anchor the rules reference must be supplied or have a fallback
+    const rules = scaleRuleFootprints(await fetchRules(db, mapping.template_id), params.radius_scale_pct);
+    let anchors;
+    try {
+      anchors = await resolveScenarioAnchors(
+        db,
+        city,
+        templateAnchorVocabulary(rules),
+        Array.isArray(st.anchors) ? st.anchors : []
+      );
+    } catch (err) {
+      if (compound && err.status === 400) {
+        Object.assign(err, { message: `${where}${err.message}`, extra: { ...err.extra, stage: index } });
+      }
+      throw err;
+    }
+
+    stages.push({ index, scenario, mapping, rules, params, anchors, start_tick, end_tick });
+  }
+
+  return { compound, stages };
+}
+
+/**
+ * Assets FAILED at tick atTick by the events of earlier stages ([{ tick, pct, kind }] per asset).
+ * IMPACTs never improve an asset, as in the engine. With crews, repairs are only known once the
+ * run plays out, so only the scheduled REPAIR events of auto-recovery instances count.
+ */
+function assetsDownAt(eventsById, atTick, { withRepairs }) {
+  const down = new Set();
+  for (const [id, evs] of eventsById) {
+    let pct = 100;
+    for (const ev of [...evs].sort((x, y) => x.tick - y.tick)) {
+      if (ev.tick > atTick) break;
+      if (ev.kind === "IMPACT") pct = Math.min(pct, ev.pct);
+      else if (withRepairs) pct = ev.pct;
+    }
+    if (perfPctToStatus(pct) === "FAILED") down.add(id);
+  }
+  return down;
+}
+
+/**
+ * Comms adjacency without the given assets: a node that is down relays nothing.
+ */
+function adjacencyWithout(adjacency, down) {
+  if (!down.size) return adjacency;
+  const out = new Map();
+  for (const [id, links] of adjacency) {
+    if (!down.has(id)) out.set(id, links.filter((n) => !down.has(n.id)));
+  }
+  return out;
+}
+
+/**
+ * Creates a PREPARED scenario instance (+ stages, anchors and events) from a prepare request body.
+ * Shared by POST /api/scenario/prepare and Monte Carlo batches.
+ * Compound bodies stack several hazards into one timeline; each later stage sees the damage of
+ * the earlier ones (assets already down are not picked again and relay no lateral movement).
+ */
+async function prepareScenarioInstance(db, body = {}, { dryRun = false } = {}) {
+  const city = String(body.city || "").trim();
+  const duration_hours = clampInt(body.duration_hours ?? 72, 1, 168);
+  const tick_minutes = clampInt(body.tick_minutes ?? 10, 1, 60);
+  const repair_crews = clampInt(body.repair_crews ?? 0, 0, 999);
+  const dispatch_policy = String(body.dispatch_policy || "FIFO").trim().toUpperCase();
+  const config = {
+    failover_delay_ticks: sanitizeFailoverDelays(body.failover_delay_ticks),
+  };
+  if (Number.isFinite(Number(body.depot?.lat)) && Number.isFinite(Number(body.depot?.lng))) {
+    config.depot = { lat: Number(body.depot.lat), lng: Number(body.depot.lng) };
+  }
+
+  // Same seed + same inputs -> identical scenario_events
+  const random_seed = parseRandomSeed(body.random_seed);
+  if (random_seed === null) throw prepareInputError("random_seed must be an integer");
+  const rng = mulberry32(random_seed);
+
+  if (!city) throw prepareInputError("Missing city");
+  if (!(dispatch_policy in DISPATCH_POLICIES)) {
+    throw prepareInputError(`Unknown dispatch_policy: ${dispatch_policy}`, {
+      allowed: Object.keys(DISPATCH_POLICIES),
+    });
+  }
+
+  const totalTicks = Math.max(1, Math.trunc((duration_hours * 60) / tick_minutes));
+  const { compound, stages } = await resolvePrepareStages(db, body, {
+    city,
+    duration_hours,
+    tick_minutes,
+    totalTicks,
+  });
+  const first = stages[0];
+
+  // Spreading hazards: kept with the instance so playback can draw the moving front
+  const spreadsByStage = stages.map((st) =>
+    templateSpreads(st.rules, st.end_tick - st.start_tick).map((sp) => ({
+      ...sp,
+      stage: st.index,
+      start_tick: st.start_tick + sp.start_tick,
+    }))
+  );
+  if (spreadsByStage.some((sps) => sps.length)) config.spread = spreadsByStage.flat();
+
+  // Workforce curve: the engine evaluates it per tick (crews on duty, staffed assets)
+  const workforceStage = stages.find((st) => st.mapping.workforce);
+  if (workforceStage) {
+    config.workforce = workforceConfig(
+      workforceStage.params,
+      workforceStage.start_tick,
+      workforceStage.end_tick - workforceStage.start_tick
+    );
+  }
+
+  // Build events, stage by stage (kept in memory: a dry run reports them per rule instead)
+  const events = [];
+  let eventsCreated = 0;
+  const assetsUsed = new Set();
+  let commsAdjacency = null; // loaded by the first CYBER_LATERAL rule
+  const lateralSummary = [];
+  const stageSummary = [];
+  const priorEvents = new Map(); // asset_id -> [{ tick, pct, kind }] of the stages prepared so far
+  const ruleReports = []; // per rule: candidates, picks and events (the assets too on a dry run)
+  const warnings = []; // rules that end up with no events
+
+  for (const stage of stages) {
+    const { rules, anchors, params: hazardParams } = stage;
+    const stageTicks = stage.end_tick - stage.start_tick;
+    const spreads = spreadsByStage[stage.index];
+    const down = assetsDownAt(priorEvents, stage.start_tick, { withRepairs: !repair_crews });
+    const usedAssets = new Set(); // allow_reuse_asset = 0 holds within a stage; a later hazard may hit again
+    const stageEvents = [];
+
+    for (const rule of rules) {
+      const cityAssets = await fetchAssetsByCitySectorSubtype(db, city, rule.sector, rule.subtype);
+      const candidates = cityAssets.filter((c) => !down.has(String(c.id)));
+      const report = {
+        rule_id: rule.rule_id,
+        ...(compound ? { stage: stage.index } : {}),
+        event_kind: String(rule.event_kind || "").toUpperCase(),
+        selection_scope: String(rule.selection_scope || "").toUpperCase(),
+        sector: rule.sector,
+        subtype: rule.subtype,
+        candidates: candidates.length,
+        selected: 0,
+        events: 0,
+        ...(dryRun ? { assets: [] } : {}),
+      };
+      ruleReports.push(report);
+      const warn = (message) =>
+        warnings.push({ rule_id: rule.rule_id, ...(compound ? { stage: stage.index } : {}), message });
+
+      if (!candidates.length) {
+        warn(
+          cityAssets.length
+            ? `all ${cityAssets.length} ${rule.sector}/${rule.subtype} assets are already down when the hazard starts`
+            : `no ${rule.sector}/${rule.subtype} assets in ${city}`
+        );
+        continue;
+      }
+
+      const centrality =
+        String(rule.selection_scope || "").toUpperCase() === "GRAPH_CENTRALITY"
+          ? await cityCentrality(db, city, rule.centrality_metric)
+          : null;
+      let chosen = selectAssetsForRule(rule, candidates, { anchors, rng, centrality, hazardParams });
+      const spread = ruleSpread(rule, spreads);
+      const spreadAnchors = spread ? anchors.filter((x) => x.type === spread.anchor_type) : [];
+
+      // CYBER_LATERAL: the picks are entry points; the compromise then moves over comms links
+      if (String(rule.selection_scope || "").toUpperCase() === "CYBER_LATERAL" && chosen.length) {
+        commsAdjacency ??= await cityCommsAdjacency(db, city);
+        const start_tick = stage.start_tick + pctToTickIndex(jitteredTimePct(rule, rng), stageTicks);
+        const entry_assets = chosen.map((a) => String(a.id));
+        chosen = lateralMovement(chosen, {
+          adjacency: adjacencyWithout(commsAdjacency, down),
+          startTick: start_tick,
+          totalTicks,
+          tickMinutes: tick_minutes,
+          params: hazardParams,
+          // Own stream, so changing infection params leaves the other rules' picks untouched
+          rng: mulberry32(seedFromString(`${random_seed}:${rule.rule_id}`)),
+        });
+        lateralSummary.push({
+          rule_id: rule.rule_id,
+          entry_assets,
+          compromised: chosen.length,
+          start_tick,
+          last_tick: Math.max(...chosen.map((a) => a.infected_tick)),
+        });
+      }
+
+      report.selected = chosen.length;
+      let reused = 0;
+      let unreached = 0;
+      for (const a of chosen) {
+        if (!rule.allow_reuse_asset && usedAssets.has(a.id)) {
+          reused++;
+          continue;
+        }
+
+        let tick_index = a.infected_tick ?? stage.start_tick + pctToTickIndex(jitteredTimePct(rule, rng), stageTicks);
+        if (spread) {
+          // Not before the front reaches the asset; assets it never reaches within the run are spared
+          const hours = spreadArrivalHours(spread.model, a, spreadAnchors, hazardParams);
+          const arrival = spread.start_tick + Math.ceil((hours * 60) / tick_minutes);
+          if (arrival > totalTicks - 1) {
+            unreached++;
+            continue;
+          }
+          tick_index = Math.max(tick_index, arrival);
+        }
+        const event_kind = String(rule.event_kind || "").toUpperCase();
+        const performance_pct = clampInt(a.performance_pct ?? rule.performance_pct, 0, 100);
+        const repair_time_minutes = avgRepairMinutes(rule.repair_time_min, rule.repair_time_max);
+
+        if (dryRun) {
+          report.assets.push({
+            id: a.id,
+            lat: a.lat,
+            lng: a.lng,
+            tick_index,
+            performance_pct,
+            ...(a.intensity != null ? { intensity: a.intensity } : {}),
+          });
+        } else {
+          events.push({
+            tick_index,
+            event_kind,
+            asset_id: a.id,
+            performance_pct,
+            repair_time_minutes,
+            repair_time_min: finiteOrNull(rule.repair_time_min),
+            repair_time_max: finiteOrNull(rule.repair_time_max),
+            source_rule_id: rule.rule_id,
+            stage_index: stage.index,
+            intensity: a.intensity ?? null,
+          });
+        }
+
+        report.events++;
+        eventsCreated++;
+        usedAssets.add(a.id);
+        assetsUsed.add(a.id);
+        stageEvents.push({ id: String(a.id), tick: tick_index, pct: performance_pct, kind: event_kind });
+      }
+
+      if (!chosen.length) {
+        warn(`${candidates.length} candidates but none selected: ${emptySelectionReason(rule, anchors)}`);
+      } else if (!report.events) {
+        const why = [
+          reused ? `${reused} already hit by an earlier rule` : "",
+          unreached ? `${unreached} not reached by the spreading front within the run` : "",
+        ];
+        const what = chosen.length === 1 ? "the selected asset was" : `all ${chosen.length} selected assets were`;
+        warn(`${what} skipped (${why.filter(Boolean).join(", ")})`);
+      }
+    }
+
+    for (const ev of stageEvents) {
+      if (!priorEvents.has(ev.id)) priorEvents.set(ev.id, []);
+      priorEvents.get(ev.id).push(ev);
+    }
+    stageSummary.push({
+      stage: stage.index,
+      scenario: stage.scenario,
+      template_id: stage.mapping.template_id,
+      template_version: stage.mapping.template_version,
+      hazard_type: stage.mapping.hazard_type,
+      start_tick: stage.start_tick,
+      end_tick: stage.end_tick,
+      events_created: stageEvents.length,
+      assets_down_at_start: down.size,
+      hazard_params: hazardParams,
+    });
+  }
+
+  const summary = {
+    template_id: first.mapping.template_id,
+    template_version: first.mapping.template_version,
+    hazard_type: compound ? "COMPOUND" : first.mapping.hazard_type,
+    ...(compound ? { stages: stageSummary } : {}),
+    total_rules: stages.reduce((n, st) => n + st.rules.length, 0),
+    recovery_model: repair_crews ? "crews" : "auto",
+    repair_crews,
+    dispatch_policy,
+    random_seed,
+    assets_used: assetsUsed.size,
+    anchors: compound ? stages.flatMap((st) => st.anchors.map((a) => ({ ...a, stage: st.index }))) : first.anchors,
+    hazard_params: first.params,
+    ...(lateralSummary.length ? { lateral_movement: lateralSummary } : {}),
+    ...(config.workforce ? { workforce: { ...config.workforce, low: workforceLow(config.workforce, totalTicks) } } : {}),
+    total_ticks: totalTicks,
+    warnings,
+  };
+  if (dryRun) {
+    return { dry_run: true, ...summary, events_planned: eventsCreated, rules: ruleReports, status: "DRY_RUN" };
+  }
+
+  // With repair crews the simulation schedules restoration itself;
+  // without crews we keep the demo auto-recovery events.
+  const recoveries = repair_crews ? [] : autoRecoveryEvents(events, { totalTicks, tick_minutes, rng });
+
+  // Everything is known: store the instance in one go, so a failure leaves nothing half-built
+  const instance_id = nowId("scn");
+  writeTransaction(db, (conn) => {
+    // Templates changed since their latest version get a new one (the number prepare computed)
+    for (const st of stages) storeTemplateVersion(conn, st.mapping.template_id);
+
+    conn
+      .prepare(
+        `
+        INSERT INTO scenario_instances
+          (id, city, scenario, hazard_type, template_id, template_version, duration_hours, tick_minutes, repair_crews,
+           dispatch_policy, random_seed, config_json, hazard_params_json, status)
+        VALUES
+          (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'PREPARED')
+        `
+      )
+      .run(
+        instance_id,
+        city,
+        compound ? "compound" : first.scenario,
+        compound ? "COMPOUND" : first.mapping.hazard_type,
+        first.mapping.template_id,
+        first.mapping.template_version,
+        duration_hours,
+        tick_minutes,
+        repair_crews,
+        dispatch_policy,
+        random_seed,
+        JSON.stringify(config),
+        JSON.stringify(first.params)
+      );
+
+    const insertStage = conn.prepare(`
+      INSERT INTO scenario_instance_stages
+        (instance_id, stage_index, scenario, hazard_type, template_id, template_version, start_tick, end_tick,
+         hazard_params_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    // Anchors: derived fallbacks too, so the instance shows what was used
+    const insertAnchor = conn.prepare(`
+      INSERT INTO scenario_instance_anchors (instance_id, anchor_type, lat, lng, geometry_json, stage_index)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    for (const st of stages) {
+      insertStage.run(
+        instance_id,
+        st.index,
+        st.scenario,
+        st.mapping.hazard_type,
+        st.mapping.template_id,
+        st.mapping.template_version,
+        st.start_tick,
+        st.end_tick,
+        JSON.stringify(st.params)
+      );
+      for (const a of st.anchors) {
+        insertAnchor.run(instance_id, a.type, a.lat, a.lng, a.geometry ? JSON.stringify(a.geometry) : null, st.index);
+      }
+    }
+
+    const insertEvent = conn.prepare(`
+      INSERT INTO scenario_events
+        (instance_id, tick_index, event_kind, asset_id, performance_pct, repair_time_minutes,
+         repair_time_min, repair_time_max, source_rule_id, stage_index, intensity)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const ev of [...events, ...recoveries]) {
+      insertEvent.run(
+        instance_id,
+        ev.tick_index,
+        ev.event_kind,
+        String(ev.asset_id),
+        ev.performance_pct,
+        ev.repair_time_minutes,
+        ev.repair_time_min ?? null,
+        ev.repair_time_max ?? null,
+        ev.source_rule_id ?? null,
+        ev.stage_index ?? null,
+        ev.intensity ?? null
+      );
+    }
+  });
+
+  // Important: include in prepared summary (helps verify behavior)
+  return {
+    scenario_instance_id: instance_id,
+    ...summary,
+    events_created: eventsCreated,
+    auto_recoveries_added: recoveries.length,
+    status: "PREPARED",
+  };
+}
+
+// POST /api/scenario/prepare[?dry_run=1]
+// dry_run: nothing is stored; the response lists per rule the candidates, picks and planned events.
+app.post("/api/scenario/prepare", async (req, res) => {
+  try {
+    const dryRun = ["1", "true"].includes(String(req.query.dry_run || "").toLowerCase());
+    return res.json(await prepareScenarioInstance(db, req.body || {}, { dryRun }));
+  } catch (err) {
+    if (err?.status === 400) {
+      return res.status(400).json({ error: err.message, ...err.extra });
+    }
+    console.error("POST /api/scenario/prepare failed:", err);
+    return res.status(500).json({
+      error: "Internal error",
+      details: String(err?.message || err),
+    });
+  }
+});
+
+// GET /api/scenario/anchors?scenario=wildfire[&template_id=WF_021]
+// The anchors the UI must ask for before prepare (required ones first).
+app.get("/api/scenario/anchors", async (req, res) => {
+  try {
+    const scenario = String(req.query.scenario || "").trim();
+    if (!SCENARIO_TO_TEMPLATE[scenario]) return res.status(400).json({ error: `Unknown scenario: ${scenario}` });
+    let mapping;
+    try {
+      mapping = await resolveScenarioTemplate(db, scenario, req.query.template_id);
+    } catch (err) {
+      if (err?.status === 400) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+
+    const rules = await fetchRules(db, mapping.template_id);
+    return res.json({
+      scenario,
+      template_id: mapping.template_id,
+      anchors: templateAnchorVocabulary(rules),
+      aliases: ANCHOR_ALIASES,
+    });
+  } catch (err) {
+    console.error("GET /api/scenario/anchors failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* ============================================================
+   Scenario templates: list, create, clone, edit and delete templates and their rules
+   ============================================================ */
+
+function sendTemplateError(res, err, route) {
+  if (err?.status) return res.status(err.status).json({ error: err.message, ...err.extra });
+  console.error(`${route} failed:`, err);
+  return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+}
+
+// GET /api/scenario/templates
+app.get("/api/scenario/templates", async (_req, res) => {
+  try {
+    return res.json({ templates: await listTemplates(db) });
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/templates");
+  }
+});
+
+// GET /api/scenario/template?template_id=EQ_030
+app.get("/api/scenario/template", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    const found = await getTemplate(db, templateId);
+    if (!found) return res.status(404).json({ error: `template_id not found: ${templateId}` });
+    return res.json(found);
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/template");
+  }
+});
+
+// Lint: errors keep a CSV file from loading, warnings flag rules that cannot match or ignore a field
+async function assetPairsInDb(db) {
+  return all(db, `SELECT DISTINCT sector, subtype FROM assets`);
+}
+
+// GET /api/scenario/templates/lint
+// The template CSVs on disk, as the next startup would load (or refuse) them.
+app.get("/api/scenario/templates/lint", async (_req, res) => {
+  try {
+    const files = lintScenarioTemplateFiles(await assetPairsInDb(db));
+    return res.json({ ok: files.every((f) => f.ok), files });
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/templates/lint");
+  }
+});
+
+// GET /api/scenario/template/lint?template_id=EQ_030
+app.get("/api/scenario/template/lint", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    const found = await getTemplate(db, templateId);
+    if (!found) return res.status(404).json({ error: `template_id not found: ${templateId}` });
+    const assetTypes = knownAssetTypes(await assetPairsInDb(db));
+    return res.json({ template_id: templateId, ...lintTemplateRows(found.rules, { assetTypes }) });
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/template/lint");
+  }
+});
+
+// POST /api/scenario/template/lint { template_id?, rules: [...] }
+// Unsaved rules of the template editor (template_id applies to rules without one).
+app.post("/api/scenario/template/lint", async (req, res) => {
+  try {
+    const { template_id, rules } = req.body || {};
+    if (!Array.isArray(rules)) return res.status(400).json({ error: "rules must be an array" });
+    const rows = rules.map((r) => ({ template_id, ...r }));
+    const assetTypes = knownAssetTypes(await assetPairsInDb(db));
+    return res.json(lintTemplateRows(rows, { assetTypes }));
+  } catch (err) {
+    return sendTemplateError(res, err, "POST /api/scenario/template/lint");
+  }
+});
+
+// GET /api/scenario/template/versions?template_id=EQ_030
+app.get("/api/scenario/template/versions", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    return res.json({ template_id: templateId, versions: await listTemplateVersions(db, templateId) });
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/template/versions");
+  }
+});
+
+// GET /api/scenario/template/version?template_id=EQ_030&version=2
+// The rules exactly as they were in that version (scenario_instances.template_version).
+app.get("/api/scenario/template/version", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    const version = Number(req.query.version);
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    if (!Number.isInteger(version)) return res.status(400).json({ error: "version must be an integer" });
+    const found = await getTemplateVersion(db, templateId, version);
+    if (!found) return res.status(404).json({ error: `Version ${version} of ${templateId} not found` });
+    return res.json(found);
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/template/version");
+  }
+});
+
+// GET /api/scenario/template/diff?template_id=EQ_030&from=1[&to=3]
+// to defaults to the current version, from to the one before it.
+app.get("/api/scenario/template/diff", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    const found = await getTemplate(db, templateId);
+    if (!found) return res.status(404).json({ error: `template_id not found: ${templateId}` });
+
+    const to = req.query.to == null ? Number(found.template.version) : Number(req.query.to);
+    const from = req.query.from == null ? to - 1 : Number(req.query.from);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: "from and to must be integers" });
+    }
+    return res.json(await diffTemplateVersions(db, templateId, from, to));
+  } catch (err) {
+    return sendTemplateError(res, err, "GET /api/scenario/template/diff");
+  }
+});
+
+// POST /api/scenario/template { template_id, template_name, hazard_type, rules? }
+app.post("/api/scenario/template", async (req, res) => {
+  try {
+    return res.status(201).json(await createTemplate(db, req.body || {}));
+  } catch (err) {
+    return sendTemplateError(res, err, "POST /api/scenario/template");
+  }
+});
+
+// POST /api/scenario/template/clone { template_id, new_template_id, template_name? }
+app.post("/api/scenario/template/clone", async (req, res) => {
+  try {
+    const { template_id, ...rest } = req.body || {};
+    const templateId = String(template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    return res.status(201).json(await cloneTemplate(db, templateId, rest));
+  } catch (err) {
+    return sendTemplateError(res, err, "POST /api/scenario/template/clone");
+  }
+});
 
-    const tPartial = Math.min(totalTicks - 1, t0 + partialDelay);
-    const tFull = Math.min(totalTicks - 1, t0 + fullDelay);
+// PATCH /api/scenario/template?template_id=EQ_030 { template_name?, hazard_type?, is_active? }
+app.patch("/api/scenario/template", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    return res.json(await updateTemplate(db, templateId, req.body || {}));
+  } catch (err) {
+    return sendTemplateError(res, err, "PATCH /api/scenario/template");
+  }
+});
 
-    // Partial recovery target: ensure it becomes DEGRADED (>=50), and improves vs damagedPct
-    const partialPct = Math.max(50, Math.min(95, damagedPct + randInt(20, 45)));
+// DELETE /api/scenario/template?template_id=EQ_030_COPY
+app.delete("/api/scenario/template", async (req, res) => {
+  try {
+    const templateId = String(req.query.template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    return res.json(await deleteTemplate(db, templateId));
+  } catch (err) {
+    return sendTemplateError(res, err, "DELETE /api/scenario/template");
+  }
+});
 
-    // Repair time minutes (for story / later use)
-    const partialRepairMin = partialDelay * tick_minutes;
-    const fullRepairMin = fullDelay * tick_minutes;
+// POST /api/scenario/template/rule { template_id, rule_id?, ...rule fields, enabled? }
+app.post("/api/scenario/template/rule", async (req, res) => {
+  try {
+    const { template_id, ...input } = req.body || {};
+    const templateId = String(template_id || "").trim();
+    if (!templateId) return res.status(400).json({ error: "Missing template_id" });
+    return res.status(201).json(await createRule(db, templateId, input));
+  } catch (err) {
+    return sendTemplateError(res, err, "POST /api/scenario/template/rule");
+  }
+});
 
-    // Insert partial repair if it improves
-    if (partialPct > damagedPct && tPartial > t0) {
-      const key = `${instance_id}|${assetId}|${tPartial}|${partialPct}`;
-      if (!seen.has(key)) {
-        await run(
-          db,
-          `
-          INSERT INTO scenario_events
-            (instance_id, tick_index, event_kind, asset_id, performance_pct, repair_time_minutes, source_rule_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `,
-          [String(instance_id), tPartial, "REPAIR_PARTIAL", assetId, partialPct, partialRepairMin, null]
-        );
-        seen.add(key);
-        added++;
-      }
-    }
+// PATCH /api/scenario/template/rule?rule_id=EQ_030_R004 { ...rule fields, enabled? }
+app.patch("/api/scenario/template/rule", async (req, res) => {
+  try {
+    const ruleId = String(req.query.rule_id || "").trim();
+    if (!ruleId) return res.status(400).json({ error: "Missing rule_id" });
+    return res.json(await updateRule(db, ruleId, req.body || {}));
+  } catch (err) {
+    return sendTemplateError(res, err, "PATCH /api/scenario/template/rule");
+  }
+});
 
-    // Insert full repair
-    if (tFull > t0) {
-      const key2 = `${instance_id}|${assetId}|${tFull}|100`;
-      if (!seen.has(key2)) {
-        await run(
-          db,
-          `
-          INSERT INTO scenario_events
-            (instance_id, tick_index, event_kind, asset_id, performance_pct, repair_time_minutes, source_rule_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `,
-          [String(instance_id), tFull, "REPAIR_FULL", assetId, 100, fullRepairMin, null]
-        );
-        seen.add(key2);
-        added++;
-      }
-    }
+// DELETE /api/scenario/template/rule?rule_id=EQ_030_R004
+app.delete("/api/scenario/template/rule", async (req, res) => {
+  try {
+    const ruleId = String(req.query.rule_id || "").trim();
+    if (!ruleId) return res.status(400).json({ error: "Missing rule_id" });
+    return res.json(await deleteRule(db, ruleId));
+  } catch (err) {
+    return sendTemplateError(res, err, "DELETE /api/scenario/template/rule");
   }
+});
 
-  return { added };
+/* ============================================================
+   Monte Carlo batches: N seeded instances of one configuration
+   ============================================================ */
+
+const MC_BATCHES = new Map(); // batch_id -> batch (insertion order = oldest first)
+const MC_MAX_RUNS = 200;
+const MC_MAX_FINISHED_BATCHES = 20; // older finished batches are dropped when a new one starts
+const MC_DEFAULT_RECOVERY_THRESHOLD_PCT = 95;
+
+function batchView(batch) {
+  return {
+    batch_id: batch.batch_id,
+    status: batch.status,
+    runs_requested: batch.runs_requested,
+    runs_completed: batch.runs_completed,
+    base_seed: batch.base_seed,
+    recovery_threshold_pct: batch.recovery_threshold_pct,
+    error: batch.error,
+    result: batch.result,
+  };
 }
 
-async function fetchRules(db, templateId) {
-  return all(
-    db,
-    `
-    SELECT
-      rule_id, template_id,
-      event_kind, time_pct, time_jitter_pct,
-      selection_scope, sector, subtype,
-      target_mode, target_value, allow_reuse_asset,
-      performance_pct, repair_time_min, repair_time_max,
-      geo_anchor, geo_param_1_km, priority, notes
-    FROM scenario_template_rules
-    WHERE template_id = ? AND enabled = 1
-    ORDER BY time_pct ASC, priority DESC, rule_id ASC
-    `,
-    [templateId]
-  );
+/**
+ * Removes a scenario instance and everything prepared for it (batch instances are throwaway).
+ */
+async function deleteScenarioInstance(db, instance_id) {
+  for (const table of ["scenario_events", "scenario_instance_anchors", "scenario_instance_stages"]) {
+    await run(db, `DELETE FROM ${table} WHERE instance_id = ?`, [instance_id]);
+  }
+  await run(db, `DELETE FROM scenario_instances WHERE id = ?`, [instance_id]);
 }
 
-async function fetchAssetsByCitySectorSubtype(db, city, sector, subtype) {
-  return all(
-    db,
-    `
-    SELECT id, lat, lng, criticality
-    FROM assets
-    WHERE city = ? AND sector = ? AND subtype = ?
-    `,
-    [city, sector, subtype]
-  );
+function evictFinishedBatches() {
+  const finished = [...MC_BATCHES.values()].filter((b) => b.status !== "RUNNING");
+  for (const b of finished.slice(0, Math.max(0, finished.length - MC_MAX_FINISHED_BATCHES))) {
+    MC_BATCHES.delete(b.batch_id);
+  }
 }
 
-function selectAssetsForRule(rule, candidates, anchors) {
-  const scope = String(rule.selection_scope || "").toUpperCase();
-  let pool = candidates.slice();
+/**
+ * Runs one seeded instance headless and returns its sector series; the instance is deleted afterwards.
+ */
+async function runBatchInstance(db, batch, i) {
+  const random_seed = (batch.base_seed + i) >>> 0;
+  const prepared =
+    i === 0 && batch.first ? batch.first : await prepareScenarioInstance(db, { ...batch.request, random_seed });
+  batch.first = null;
 
-  // GEO_RADIUS: filter by distance from anchor
-  if (scope === "GEO_RADIUS") {
-    const anchorKey = String(rule.geo_anchor || "CITY_CENTER").toUpperCase();
-    const a = anchors.find(x => String(x.type).toUpperCase() === anchorKey);
-    const rKm = Number(rule.geo_param_1_km || 0);
+  try {
+    const simRun = await startSimulationRun(db, prepared.scenario_instance_id, { headless: true });
+    await simRun.finished;
+    if (simRun.status === "FAILED") throw new Error(`run ${i + 1} (seed ${random_seed}) failed: ${simRun.error}`);
+
+    batch.total_ticks = simRun.total_ticks;
+    batch.tick_minutes = simRun.tick_minutes;
+    return sectorSeriesFromRun(simRun);
+  } finally {
+    await deleteScenarioInstance(db, prepared.scenario_instance_id);
+  }
+}
 
-    if (a && rKm > 0) {
-      pool = pool.filter(c => haversineKm(a.lat, a.lng, c.lat, c.lng) <= rKm);
+/**
+ * Prepares and runs the seeds one after another (headless), then aggregates.
+ */
+async function runMonteCarloBatch(db, batch) {
+  const seriesList = [];
+  const recoveryTicksBySector = {};
+
+  for (let i = 0; i < batch.runs_requested; i++) {
+    const series = await runBatchInstance(db, batch, i);
+    seriesList.push(series);
+    for (const [sector, values] of Object.entries(series)) {
+      if (!recoveryTicksBySector[sector]) recoveryTicksBySector[sector] = [];
+      recoveryTicksBySector[sector].push(timeToRecoveryTicks(values, batch.recovery_threshold_pct));
     }
+    batch.runs_completed = i + 1;
   }
 
-  // GRAPH_CENTRALITY (mock): prefer high criticality
-  if (scope === "GRAPH_CENTRALITY") {
-    pool.sort((x, y) => Number(y.criticality || 0) - Number(x.criticality || 0));
-  } else {
-    // GEO_SCATTER / default: random-ish but stable order
-    pool.sort((x, y) => String(x.id).localeCompare(String(y.id)));
+  const time_to_recovery = {};
+  for (const [sector, ticksList] of Object.entries(recoveryTicksBySector)) {
+    time_to_recovery[sector] = summarizeRecoveryTimes(ticksList, batch.tick_minutes);
   }
 
-  const k = pickCount(rule.target_mode, rule.target_value, pool.length);
-  return pool.slice(0, k);
+  batch.result = {
+    total_ticks: batch.total_ticks,
+    tick_minutes: batch.tick_minutes,
+    bands: aggregateSectorBands(seriesList, batch.total_ticks),
+    time_to_recovery,
+  };
+  batch.status = "DONE";
 }
 
-app.post("/api/scenario/prepare", async (req, res) => {
+// POST /api/sim/batch  { ...prepare body, runs, random_seed?, recovery_threshold_pct? }
+app.post("/api/sim/batch", async (req, res) => {
   try {
     const body = req.body || {};
-    const city = String(body.city || "").trim();
-    const scenario = String(body.scenario || "").trim(); // earthquake, tsunami, ...
-    const duration_hours = clampInt(body.duration_hours ?? 72, 1, 168);
-    const tick_minutes = clampInt(body.tick_minutes ?? 10, 1, 60);
-    const repair_crews = clampInt(body.repair_crews ?? 0, 0, 999);
-
-    const anchors = Array.isArray(body.anchors) ? body.anchors : [];
-
-    if (!city) return res.status(400).json({ error: "Missing city" });
-    if (!scenario) return res.status(400).json({ error: "Missing scenario" });
-
-    const mapping = SCENARIO_TO_TEMPLATE[scenario];
-    if (!mapping) return res.status(400).json({ error: `Unknown scenario: ${scenario}` });
-
-    // anchor requirement validation (if required)
-    if (mapping.anchor_required) {
-      const has = anchors.some(a => String(a.type).toUpperCase() === mapping.anchor_required);
-      if (!has) {
-        return res.status(400).json({
-          error: `Missing required anchor: ${mapping.anchor_required}`,
-          required_anchor: mapping.anchor_required,
-        });
-      }
-    }
-
-    // Create instance
-    const instance_id = nowId("scn");
-    await run(
-      db,
-      `
-      INSERT INTO scenario_instances
-        (id, city, scenario, hazard_type, template_id, duration_hours, tick_minutes, repair_crews, status)
-      VALUES
-        (?, ?, ?, ?, ?, ?, ?, ?, 'PREPARED')
-      `,
-      [
-        instance_id,
-        city,
-        scenario,
-        mapping.hazard_type,
-        mapping.template_id,
-        duration_hours,
-        tick_minutes,
-        repair_crews,
-      ]
+    const runs = clampInt(body.runs ?? 20, 1, MC_MAX_RUNS);
+    const base_seed = parseRandomSeed(body.random_seed);
+    if (base_seed === null) return res.status(400).json({ error: "random_seed must be an integer" });
+
+    const recovery_threshold_pct = clamp(
+      Number(body.recovery_threshold_pct ?? MC_DEFAULT_RECOVERY_THRESHOLD_PCT),
+      1,
+      100
     );
 
-    // Save anchors
-    for (const a of anchors) {
-      const type = String(a.type || "").toUpperCase();
-      const lat = Number(a.lat);
-      const lng = Number(a.lng);
-      if (!type || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const { runs: _runs, random_seed: _seed, recovery_threshold_pct: _thr, ...request } = body;
+
+    // Prepare the first instance up-front so bad input fails the request, not the batch
+    const first = await prepareScenarioInstance(db, { ...request, random_seed: base_seed });
+
+    const batch = {
+      batch_id: nowId("mcb"),
+      status: "RUNNING",
+      runs_requested: runs,
+      runs_completed: 0,
+      base_seed,
+      recovery_threshold_pct,
+      request,
+      first,
+      error: null,
+      result: null,
+    };
+    evictFinishedBatches();
+    MC_BATCHES.set(batch.batch_id, batch);
 
-      await run(
-        db,
-        `
-        INSERT INTO scenario_instance_anchors (instance_id, anchor_type, lat, lng)
-        VALUES (?, ?, ?, ?)
-        `,
-        [instance_id, type, lat, lng]
-      );
-    }
+    runMonteCarloBatch(db, batch).catch((err) => {
+      console.error("Monte Carlo batch failed:", err);
+      batch.status = "FAILED";
+      batch.error = String(err?.message || err);
+    });
 
-    const rules = await fetchRules(db, mapping.template_id);
-    const totalTicks = Math.max(1, Math.trunc((duration_hours * 60) / tick_minutes));
+    return res.status(202).json(batchView(batch));
+  } catch (err) {
+    if (err?.status === 400) {
+      return res.status(400).json({ error: err.message, ...err.extra });
+    }
+    console.error("POST /api/sim/batch failed:", err);
+    return res.status(500).json({ error: "Internal error", details: String(err?.message || err) });
+  }
+});
 
-    // Build events
-    let eventsCreated = 0;
-    const usedAssets = new Set();
+// GET /api/sim/batch?batch_id=...
+app.get("/api/sim/batch", (req, res) => {
+  const batch_id = String(req.query.batch_id || "").trim();
+  if (!batch_id) return res.status(400).json({ error: "batch_id is required" });
 
-    for (const rule of rules) {
-      const candidates = await fetchAssetsByCitySectorSubtype(db, city, rule.sector, rule.subtype);
+  const batch = MC_BATCHES.get(batch_id);
+  if (!batch) return res.status(404).json({ error: `batch_id not found: ${batch_id}` });
 
-      if (!candidates.length) {
-        // If you want: collect warnings for UI ("not enough assets")
-        continue;
-      }
+  return res.json(batchView(batch));
+});
 
-      const chosen = selectAssetsForRule(rule, candidates, anchors);
+/* ============================================================
+   Dependencies API
+   ============================================================ */
 
-      for (const a of chosen) {
-        // enforce allow_reuse_asset = 0 by default across entire scenario
-        if (!rule.allow_reuse_asset && usedAssets.has(a.id)) continue;
+/**
+ * Adjacency lists over asset_dependencies rows (kept in row order).
+ */
+function indexDependencyAdjacency(deps = []) {
+  const byProvider = new Map();
+  const byConsumer = new Map();
+  for (const d of deps) {
+    const p = d.provider_asset_id;
+    const c = d.consumer_asset_id;
+    if (!byProvider.has(p)) byProvider.set(p, []);
+    if (!byConsumer.has(c)) byConsumer.set(c, []);
+    byProvider.get(p).push(d);
+    byConsumer.get(c).push(d);
+  }
+  return { byProvider, byConsumer };
+}
 
-        const tick_index = pctToTickIndex(rule.time_pct, totalTicks);
-        const repair_time_minutes = avgRepairMinutes(rule.repair_time_min, rule.repair_time_max);
+/**
+ * BFS over the dependency graph from rootId.
+ * - upstream:   consumer -> provider (what does this asset depend on?)
+ * - downstream: provider -> consumer (who depends on this asset?)
+ * Returns { visited, nodesSet, edges } where edges carry their BFS level.
+ */
+function walkDependencyChain(adjacency, rootId, { direction = "upstream", maxDepth = 4 } = {}) {
+  const visited = new Set([rootId]);
+  const nodesSet = new Set([rootId]);
+  const edges = [];
+  const q = [{ id: rootId, depth: 0 }];
+  const seenEdges = new Set();
+
+  const edgeKey = (from, to, t, p) => `${from}__${to}__${t || ""}__${p ?? ""}`;
+  const index = direction === "upstream" ? adjacency.byConsumer : adjacency.byProvider;
+
+  while (q.length) {
+    const { id, depth } = q.shift();
+    if (depth >= maxDepth) continue;
+
+    for (const d of index.get(id) || []) {
+      const from =
+        direction === "upstream" ? d.consumer_asset_id : d.provider_asset_id;
+      const to =
+        direction === "upstream" ? d.provider_asset_id : d.consumer_asset_id;
+
+      const k = edgeKey(from, to, d.dependency_type, d.priority);
+      if (!seenEdges.has(k)) {
+        seenEdges.add(k);
+        edges.push({
+          from,
+          to,
+          dependency_type: d.dependency_type,
+          priority: d.priority,
+          level: depth + 1,
+        });
+      }
 
-        await run(
-          db,
-          `
-          INSERT INTO scenario_events
-            (instance_id, tick_index, event_kind, asset_id, performance_pct, repair_time_minutes, source_rule_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-          `,
-          [
-            instance_id,
-            tick_index,
-            String(rule.event_kind || "").toUpperCase(),
-            a.id,
-            clampInt(rule.performance_pct, 0, 100),
-            repair_time_minutes,
-            rule.rule_id,
-          ]
-        );
+      nodesSet.add(from);
+      nodesSet.add(to);
 
-        eventsCreated++;
-        usedAssets.add(a.id);
+      if (!visited.has(to)) {
+        visited.add(to);
+        q.push({ id: to, depth: depth + 1 });
       }
     }
-/*
-  const rec = await injectAutoRecoveries(db, instance_id, {
-    totalTicks,
-    tick_minutes,
-  });
-*/
-    
-  let rec = { added: 0 };
-  try {
-    rec = await injectAutoRecoveries(db, instance_id, { totalTicks, tick_minutes });
-  } catch (e) {
-    console.warn("injectAutoRecoveries failed (continuing):", e);
-  }
-
-// Important: include in prepared summary (helps verify behavior)
-  return res.json({
-    scenario_instance_id: instance_id,
-    template_id: mapping.template_id,
-    hazard_type: mapping.hazard_type,
-    total_rules: rules.length,
-    events_created: eventsCreated,
-    auto_recoveries_added: rec.added,
-    assets_used: usedAssets.size,
-    total_ticks: totalTicks,
-    status: "PREPARED",
-  });
-  } catch (err) {
-    console.error("POST /api/scenario/prepare failed:", err);
-    return res.status(500).json({
-      error: "Internal error",
-      details: String(err?.message || err),
-    });
-
   }
-});
 
-/* ============================================================
-   Dependencies API
-   ============================================================ */
+  return { visited, nodesSet, edges };
+}
 /**
  * GET /api/dependencies/chain
  * Query:
@@ -678,52 +3186,10 @@ app.get("/api/dependencies/chain", async (req, res) => {
        WHERE is_active = 1`
     );
 
-    const visited = new Set([asset_id]);
-    const nodesSet = new Set([asset_id]);
-    const edges = [];
-    const q = [{ id: asset_id, depth: 0 }];
-    const seenEdges = new Set();
-
-    const edgeKey = (from, to, t, p) => `${from}__${to}__${t || ""}__${p ?? ""}`;
-
-    while (q.length) {
-      const { id, depth } = q.shift();
-      if (depth >= max_depth) continue;
-
-      for (const d of deps) {
-        const match =
-          direction === "upstream"
-            ? d.consumer_asset_id === id
-            : d.provider_asset_id === id;
-
-        if (!match) continue;
-
-        const from =
-          direction === "upstream" ? d.consumer_asset_id : d.provider_asset_id;
-        const to =
-          direction === "upstream" ? d.provider_asset_id : d.consumer_asset_id;
-
-        const k = edgeKey(from, to, d.dependency_type, d.priority);
-        if (!seenEdges.has(k)) {
-          seenEdges.add(k);
-          edges.push({
-            from,
-            to,
-            dependency_type: d.dependency_type,
-            priority: d.priority,
-            level: depth + 1,
-          });
-        }
-
-        nodesSet.add(from);
-        nodesSet.add(to);
-
-        if (!visited.has(to)) {
-          visited.add(to);
-          q.push({ id: to, depth: depth + 1 });
-        }
-      }
-    }
+    const { nodesSet, edges } = walkDependencyChain(indexDependencyAdjacency(deps), asset_id, {
+      direction,
+      maxDepth: max_depth,
+    });
 
     const ids = Array.from(nodesSet);
     const placeholders = ids.map(() => "?").join(",");
@@ -747,6 +3213,52 @@ app.get("/api/dependencies/chain", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/dependencies/centrality
+ * Query:
+ *   city=CITY (required)
+ *   metric=BETWEENNESS|OUT_DEGREE|DOWNSTREAM_REACH (default: BETWEENNESS)
+ *   sector=..., subtype=... (optional filters)
+ *   limit=number (default: 20, max: 500)
+ *
+ * The ranking GRAPH_CENTRALITY rules pick from (ties: criticality, then id).
+ */
+app.get("/api/dependencies/centrality", async (req, res) => {
+  try {
+    const city = String(req.query.city || "").trim();
+    const metric = String(req.query.metric || "BETWEENNESS").trim().toUpperCase();
+    const limit = clampInt(req.query.limit ?? 20, 1, 500);
+
+    if (!city) return res.status(400).json({ error: "city is required" });
+    if (!CENTRALITY_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `Unknown metric: ${metric}`, allowed: CENTRALITY_METRICS });
+    }
+
+    const where = ["city = ?"];
+    const params = [city];
+    for (const key of ["sector", "subtype"]) {
+      if (!req.query[key]) continue;
+      where.push(`${key} = ?`);
+      params.push(String(req.query[key]));
+    }
+
+    const assets = await all(
+      db,
+      `SELECT id, name, sector, subtype, criticality FROM assets WHERE ${where.join(" AND ")}`,
+      params
+    );
+    const scores = await cityCentrality(db, city, metric);
+    const ranked = rankByCentrality(assets, scores)
+      .slice(0, limit)
+      .map((a) => ({ ...a, score: Math.round((scores.get(String(a.id)) || 0) * 1000) / 1000 }));
+
+    return res.json({ city, metric, assets: ranked });
+  } catch (err) {
+    console.error("GET /api/dependencies/centrality failed:", err);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
 
 /* =========================
    Helpers: city inference + defaults
@@ -1143,7 +3655,8 @@ async function fetchPreparedSummary(db, instanceId) {
   const [header] = await all(
     db,
     `
-    SELECT id, city, scenario, template_id, hazard_type, duration_hours, tick_minutes, repair_crews, status, created_at
+    SELECT id, city, scenario, template_id, template_version, hazard_type, duration_hours, tick_minutes, repair_crews, dispatch_policy, random_seed,
+           hazard_params_json, status, created_at
     FROM scenario_instances
     WHERE id = ?
     `,
@@ -1155,7 +3668,7 @@ async function fetchPreparedSummary(db, instanceId) {
   const anchors = await all(
     db,
     `
-    SELECT anchor_type, lat, lng
+    SELECT anchor_type, lat, lng, geometry_json, stage_index
     FROM scenario_instance_anchors
     WHERE instance_id = ?
     ORDER BY id
@@ -1163,6 +3676,19 @@ async function fetchPreparedSummary(db, instanceId) {
     [instanceId]
   );
 
+  const stages = await all(
+    db,
+    `
+    SELECT s.stage_index, s.scenario, s.template_id, s.template_version, s.start_tick, s.end_tick, s.hazard_params_json, COUNT(e.id) AS events_count
+    FROM scenario_instance_stages s
+    LEFT JOIN scenario_events e ON e.instance_id = s.instance_id AND e.stage_index = s.stage_index
+    WHERE s.instance_id = ?
+    GROUP BY s.id
+    ORDER BY s.stage_index
+    `,
+    [instanceId]
+  );
+
   const kindBreakdown = await all(
     db,
     `
@@ -1198,7 +3724,7 @@ async function fetchPreparedSummary(db, instanceId) {
     [instanceId]
   );
 
-  return { header, anchors, kindBreakdown, sectorBreakdown, range };
+  return { header, anchors, stages, kindBreakdown, sectorBreakdown, range };
 }
 
 async function fetchPreparedTimeline(db, instanceId, bucketSize = 20) {
@@ -1237,25 +3763,68 @@ function renderPreparedList(rows) {
   return lines.join("\n");
 }
 
+function renderSimRunsList(rows) {
+  if (!rows.length) return "No saved simulation runs found.";
+  const lines = ["Saved simulation runs:"];
+  for (const r of rows) {
+    const scenario = r.config?.scenario || r.scenario_instance_id;
+    lines.push(
+      `• ${r.sim_run_id} | ${r.city} | ${scenario} | ${r.status} | ` +
+      `ticks ${r.computed_max_tick + 1}/${r.total_ticks} | ${r.created_at}`
+    );
+  }
+  lines.push("");
+  lines.push("Commands:");
+  lines.push("• open run <SIM_RUN_ID>");
+  lines.push("• delete run <SIM_RUN_ID>");
+  return lines.join("\n");
+}
+
 function renderPreparedSummaryText(data) {
   if (!data) return "Prepared scenario not found.";
 
-  const { header, anchors, kindBreakdown, sectorBreakdown, range } = data;
+  const { header, anchors, stages, kindBreakdown, sectorBreakdown, range } = data;
   const lines = [];
 
   lines.push(`Prepared Scenario: ${header.id}`);
   lines.push(`City: ${header.city}`);
   lines.push(`Scenario: ${header.scenario}`);
-  lines.push(`Template: ${header.template_id}`);
+  const versionTag = (v) => (v == null ? "" : ` v${v}`);
+  lines.push(`Template: ${header.template_id}${versionTag(header.template_version)}`);
   lines.push(`Status: ${header.status}`);
   lines.push(`Created: ${header.created_at}`);
   lines.push(`Duration: ${header.duration_hours}h | Tick: ${header.tick_minutes} min`);
+  lines.push(`Repair crews: ${header.repair_crews} | Dispatch: ${header.dispatch_policy || "FIFO"}`);
+  if (header.random_seed != null) lines.push(`Random seed: ${header.random_seed}`);
+  const formatParams = (json) => Object.entries(parseJsonObject(json)).map(([k, v]) => `${k}=${v}`).join(", ");
+  if (stages.length <= 1 && formatParams(header.hazard_params_json)) {
+    lines.push(`Hazard params: ${formatParams(header.hazard_params_json)}`);
+  }
   lines.push("");
 
+  if (stages.length > 1) {
+    lines.push("Stages:");
+    for (const st of stages) {
+      lines.push(
+        `• ${st.stage_index + 1}. ${st.scenario} (${st.template_id}${versionTag(st.template_version)}) | ticks ${st.start_tick}–${st.end_tick - 1} | ${st.events_count} events`
+      );
+      if (formatParams(st.hazard_params_json)) lines.push(`  Hazard params: ${formatParams(st.hazard_params_json)}`);
+    }
+    lines.push("");
+  }
+
   if (anchors.length) {
     lines.push("Anchors:");
     for (const a of anchors) {
-      lines.push(`• ${a.anchor_type}: (${a.lat.toFixed(5)}, ${a.lng.toFixed(5)})`);
+      const shape = parseJsonObject(a.geometry_json);
+      const drawn =
+        shape.type === "Polygon"
+          ? ` polygon, ${shape.coordinates[0].length - 1} vertices`
+          : shape.type === "LineString"
+            ? ` line, ${shape.coordinates.length} vertices`
+            : "";
+      const stage = stages.length > 1 ? ` [stage ${a.stage_index + 1}]` : "";
+      lines.push(`• ${a.anchor_type}: (${a.lat.toFixed(5)}, ${a.lng.toFixed(5)})${drawn}${stage}`);
     }
     lines.push("");
   }
@@ -1372,6 +3941,31 @@ app.post("/api/chat", async (req, res) => {
       });
     }
 
+    // =========================
+    // Saved simulation runs commands
+    // =========================
+
+    if (/^(runs|sim runs|saved runs)$/i.test(message.trim())) {
+      const rows = await listSimRuns(db, { limit: 10 });
+      return res.json({
+        assistant_message: renderSimRunsList(rows),
+        requires_confirmation: false,
+        actions: [],
+        questions: [],
+      });
+    }
+
+    const mDeleteRun = message.trim().match(/^delete\s+run\s+([A-Za-z0-9_-]+)$/i);
+    if (mDeleteRun) {
+      const sim_run_id = mDeleteRun[1];
+      return res.json({
+        assistant_message: `Delete saved simulation run ${sim_run_id} and its timeline? This cannot be undone.`,
+        requires_confirmation: true,
+        actions: [{ type: "SIM_RUN_DELETE", payload: { sim_run_id } }],
+        questions: [],
+      });
+    }
+
     // =========================
     // Prepared scenarios commands
     // =========================
@@ -1761,6 +4355,18 @@ app.post("/api/execute", async (req, res) => {
         }
 
 
+        if (a?.type === "SIM_RUN_DELETE") {
+          const sim_run_id = String(a.payload?.sim_run_id || "");
+          const live = SIM_RUNS.get(sim_run_id);
+          if (live && !live.done) {
+            artifacts.push({ type: "error", data: { message: `Simulation ${sim_run_id} is still running` } });
+            continue;
+          }
+          const deleted = await deleteSimRun(db, sim_run_id);
+          artifacts.push({ type: "sim_run_deleted", data: { sim_run_id, deleted } });
+          continue;
+        }
+
         if (a?.type === "SIM_RUN") {
           const scenario_instance_id = a.payload?.scenario_instance_id;
           if (!scenario_instance_id) {
@@ -1781,6 +4387,7 @@ app.post("/api/execute", async (req, res) => {
               scenario_instance_id: run.scenario_instance_id,
               city: run.city,
               total_ticks: run.total_ticks,
+              dispatch_policy: run.dispatch_policy,
               message: "Simulation started.",
             },
           });
@@ -0,0 +1,328 @@
+// backend/src/sim_metrics.js
+
+/**
+ * Sector health series from a finished run's tick cache: { sector: [pct per tick] }.
+ */
+export function sectorSeriesFromRun(run) {
+  const series = {};
+  for (let t = 0; t < run.total_ticks; t++) {
+    const payload = run.cache.get(t);
+    if (!payload) continue;
+    for (const [sector, pct] of Object.entries(payload.sectors || {})) {
+      if (!series[sector]) series[sector] = new Array(run.total_ticks).fill(100);
+      series[sector][t] = Number(pct);
+    }
+  }
+  return series;
+}
+
+/**
+ * Ticks from the first drop below `threshold` until the series is back at or above it for good.
+ * 0 = never dropped, null = still below at the end of the horizon.
+ */
+export function timeToRecoveryTicks(values, threshold = 95) {
+  const firstDrop = values.findIndex((v) => v < threshold);
+  if (firstDrop < 0) return 0;
+
+  let lastBelow = firstDrop;
+  for (let t = firstDrop; t < values.length; t++) {
+    if (values[t] < threshold) lastBelow = t;
+  }
+  if (lastBelow === values.length - 1) return null;
+  return lastBelow + 1 - firstDrop;
+}
+
+/**
+ * Linear-interpolated percentile (p in 0..100) of an ascending-sorted array.
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (Math.max(0, Math.min(100, p)) / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function round1(x) {
+  return x === null ? null : Math.round(x * 10) / 10;
+}
+
+/**
+ * Per-sector, per-tick mean / P10 / P90 across runs.
+ * seriesList: Array<{ sector: number[] }> (all runs share the same tick count).
+ */
+export function aggregateSectorBands(seriesList, totalTicks) {
+  const sectors = new Set(seriesList.flatMap((s) => Object.keys(s)));
+  const bands = {};
+
+  for (const sector of sectors) {
+    const band = { mean: [], p10: [], p90: [] };
+    for (let t = 0; t < totalTicks; t++) {
+      const values = seriesList.map((s) => s[sector]?.[t] ?? 100).sort((a, b) => a - b);
+      band.mean.push(round1(mean(values)));
+      band.p10.push(round1(percentile(values, 10)));
+      band.p90.push(round1(percentile(values, 90)));
+    }
+    bands[sector] = band;
+  }
+
+  return bands;
+}
+
+/**
+ * Distribution summary of per-run recovery times (null = did not recover in the horizon).
+ */
+export function summarizeRecoveryTimes(ticksList, tickMinutes) {
+  const recovered = ticksList.filter((v) => v !== null).sort((a, b) => a - b);
+  const toHours = (ticks) => (ticks === null ? null : round1((ticks * tickMinutes) / 60));
+
+  return {
+    runs: ticksList.length,
+    recovered_runs: recovered.length,
+    not_recovered_runs: ticksList.length - recovered.length,
+    hours: {
+      mean: toHours(mean(recovered)),
+      p10: toHours(percentile(recovered, 10)),
+      p50: toHours(percentile(recovered, 50)),
+      p90: toHours(percentile(recovered, 90)),
+      min: toHours(recovered.length ? recovered[0] : null),
+      max: toHours(recovered.length ? recovered[recovered.length - 1] : null),
+    },
+  };
+}
+
+/**
+ * Per-asset outcome from a run's tick cache, replaying assets_changed tick by tick:
+ * Map id -> { failed_ticks, degraded_ticks, final_status }.
+ */
+export function assetOutcomesFromRun(run) {
+  const status = new Map();
+  const outcomes = new Map();
+
+  for (let t = 0; t < run.total_ticks; t++) {
+    const payload = run.cache.get(t);
+    for (const c of payload?.assets_changed || []) {
+      status.set(String(c.id), String(c.status));
+      if (!outcomes.has(String(c.id))) {
+        outcomes.set(String(c.id), { failed_ticks: 0, degraded_ticks: 0, final_status: "RECOVERED" });
+      }
+    }
+    for (const [id, st] of status) {
+      if (st === "FAILED") outcomes.get(id).failed_ticks++;
+      else if (st === "DEGRADED") outcomes.get(id).degraded_ticks++;
+    }
+  }
+
+  for (const [id, st] of status) outcomes.get(id).final_status = st;
+  return outcomes;
+}
+
+/**
+ * Server-side counterpart of the results view's run insights: sector min/avg/time-to-recover
+ * and asset downtime (hours; weighted = (failed + 0.5 * degraded) * criticality).
+ */
+export function runInsights(run, assetsById, { threshold = 95 } = {}) {
+  const hoursPerTick = run.tick_minutes / 60;
+  const series = sectorSeriesFromRun(run);
+
+  const sectors = {};
+  for (const [sector, values] of Object.entries(series)) {
+    const ttr = timeToRecoveryTicks(values, threshold);
+    sectors[sector] = {
+      min: Math.min(...values),
+      avg: round1(mean(values)),
+      time_to_recover_hours: ttr === null ? null : round1(ttr * hoursPerTick),
+    };
+  }
+
+  const assets = assetOutcomesFromRun(run);
+  const downtime = { failed_hours: 0, degraded_hours: 0, weighted: 0 };
+  for (const [id, o] of assets) {
+    const crit = Math.max(1, Number(assetsById.get(id)?.criticality || 1));
+    downtime.failed_hours += o.failed_ticks * hoursPerTick;
+    downtime.degraded_hours += o.degraded_ticks * hoursPerTick;
+    downtime.weighted += (o.failed_ticks + 0.5 * o.degraded_ticks) * crit * hoursPerTick;
+  }
+  downtime.failed_hours = round1(downtime.failed_hours);
+  downtime.degraded_hours = round1(downtime.degraded_hours);
+  downtime.weighted = round1(downtime.weighted);
+  downtime.total_hours = round1(downtime.failed_hours + downtime.degraded_hours);
+
+  return { series, sectors, assets, downtime };
+}
+
+/**
+ * Run B minus run A: per-tick sector deltas, downtime and time-to-recover differences,
+ * and the assets whose outcome (impaired ticks or final status) differed.
+ */
+export function compareRunInsights(a, b, assetsById, totalTicks) {
+  const sectorNames = [...new Set([...Object.keys(a.series), ...Object.keys(b.series)])].sort();
+
+  const sector_deltas = {};
+  const sectors = {};
+  for (const sector of sectorNames) {
+    const sa = a.series[sector] || [];
+    const sb = b.series[sector] || [];
+    sector_deltas[sector] = Array.from({ length: totalTicks }, (_, t) => (sb[t] ?? 100) - (sa[t] ?? 100));
+
+    const ia = a.sectors[sector] || { min: 100, avg: 100, time_to_recover_hours: 0 };
+    const ib = b.sectors[sector] || { min: 100, avg: 100, time_to_recover_hours: 0 };
+    const ttrDelta =
+      ia.time_to_recover_hours === null || ib.time_to_recover_hours === null
+        ? null
+        : round1(ib.time_to_recover_hours - ia.time_to_recover_hours);
+    sectors[sector] = { a: ia, b: ib, time_to_recover_delta_hours: ttrDelta };
+  }
+
+  const none = { failed_ticks: 0, degraded_ticks: 0, final_status: "RECOVERED" };
+  const assets_differed = [];
+  for (const id of new Set([...a.assets.keys(), ...b.assets.keys()])) {
+    const oa = a.assets.get(id) || none;
+    const ob = b.assets.get(id) || none;
+    if (
+      oa.failed_ticks === ob.failed_ticks &&
+      oa.degraded_ticks === ob.degraded_ticks &&
+      oa.final_status === ob.final_status
+    ) {
+      continue;
+    }
+    const asset = assetsById.get(id);
+    assets_differed.push({
+      id,
+      name: asset?.name || null,
+      sector: asset?.sector || "unknown",
+      criticality: Number(asset?.criticality || 1),
+      a: oa,
+      b: ob,
+      impaired_ticks_delta: ob.failed_ticks + ob.degraded_ticks - (oa.failed_ticks + oa.degraded_ticks),
+    });
+  }
+  assets_differed.sort(
+    (x, y) => Math.abs(y.impaired_ticks_delta) - Math.abs(x.impaired_ticks_delta) || x.id.localeCompare(y.id)
+  );
+
+  const downtime = {};
+  for (const k of Object.keys(a.downtime)) {
+    downtime[k] = { a: a.downtime[k], b: b.downtime[k], delta: round1(b.downtime[k] - a.downtime[k]) };
+  }
+
+  return { sectors, sector_deltas, downtime, assets_differed };
+}
+
+// ============================================================
+// Engine-side resilience metrics (accumulated while ticks are computed)
+// ============================================================
+
+const METRICS_TOP_ASSETS = 10;
+
+/**
+ * Accumulator the engine feeds every tick (unrounded sector performance + per-asset loss).
+ */
+export function createRunMetrics() {
+  return {
+    sectors: {}, // sector -> [criticality-weighted performance % per tick]
+    overall: [], // city-wide criticality-weighted performance % per tick
+    assetLoss: new Map(), // asset_id -> { sector, weighted_ticks }
+  };
+}
+
+/**
+ * One asset's shortfall for the current tick: (1 - perf/100) * criticality.
+ */
+export function recordAssetLoss(metrics, assetId, sector, perfPct, weight) {
+  if (perfPct >= 100) return;
+  let entry = metrics.assetLoss.get(assetId);
+  if (!entry) {
+    entry = { sector, weighted_ticks: 0 };
+    metrics.assetLoss.set(assetId, entry);
+  }
+  entry.weighted_ticks += ((100 - perfPct) / 100) * weight;
+}
+
+/**
+ * Closes a tick: sectorPerfSum = { sector: Σ perf * weight }, sectorWeights = { sector: Σ weight }.
+ */
+export function recordSectorTick(metrics, sectorPerfSum, sectorWeights) {
+  let sumAll = 0;
+  let weightAll = 0;
+  for (const [sector, weight] of Object.entries(sectorWeights)) {
+    const sum = sectorPerfSum[sector] ?? 100 * weight;
+    if (!metrics.sectors[sector]) metrics.sectors[sector] = [];
+    metrics.sectors[sector].push(Math.min(100, Math.max(0, sum / weight)));
+    sumAll += sum;
+    weightAll += weight;
+  }
+  metrics.overall.push(weightAll ? Math.min(100, Math.max(0, sumAll / weightAll)) : 100);
+}
+
+function round2(x) {
+  return x === null ? null : Math.round(x * 100) / 100;
+}
+
+/**
+ * Standard metrics for one performance curve:
+ * - resilience_loss_pct_hours: area between 100% and the curve (the resilience triangle)
+ * - min_pct / min_tick: lowest performance and the first tick it occurred
+ * - time_to_90_hours / time_to_100_hours: from the first drop below the level until back at it for good
+ *   (0 = never dropped, null = not back by the end of the computed ticks)
+ */
+function curveMetrics(values, hoursPerTick) {
+  let min = 100;
+  let minTick = null;
+  let loss = 0;
+  values.forEach((v, t) => {
+    loss += (100 - v) * hoursPerTick;
+    if (v < min) {
+      min = v;
+      minTick = t;
+    }
+  });
+
+  const hours = (ticks) => (ticks === null ? null : round2(ticks * hoursPerTick));
+  return {
+    resilience_loss_pct_hours: round2(loss),
+    min_pct: round2(min),
+    min_tick: minTick,
+    time_to_90_hours: hours(timeToRecoveryTicks(values, 90)),
+    time_to_100_hours: hours(timeToRecoveryTicks(values, 100)),
+  };
+}
+
+/**
+ * Plain-JSON summary of an accumulator (what GET /api/sim/metrics returns and sim_runs.metrics_json stores).
+ */
+export function finalizeRunMetrics(metrics, { tickMinutes, totalTicks }) {
+  const hoursPerTick = tickMinutes / 60;
+  const lostBySector = {};
+  let lostAll = 0;
+  for (const { sector, weighted_ticks } of metrics.assetLoss.values()) {
+    lostBySector[sector] = (lostBySector[sector] || 0) + weighted_ticks * hoursPerTick;
+    lostAll += weighted_ticks * hoursPerTick;
+  }
+
+  const sectors = {};
+  for (const [sector, values] of Object.entries(metrics.sectors)) {
+    sectors[sector] = {
+      ...curveMetrics(values, hoursPerTick),
+      asset_hours_lost_weighted: round2(lostBySector[sector] || 0),
+    };
+  }
+
+  const top_assets = [...metrics.assetLoss.entries()]
+    .map(([id, x]) => ({ id, sector: x.sector, asset_hours_lost_weighted: round2(x.weighted_ticks * hoursPerTick) }))
+    .sort((a, b) => b.asset_hours_lost_weighted - a.asset_hours_lost_weighted || a.id.localeCompare(b.id))
+    .slice(0, METRICS_TOP_ASSETS);
+
+  return {
+    tick_minutes: tickMinutes,
+    ticks_computed: metrics.overall.length,
+    complete: metrics.overall.length === totalTicks,
+    overall: { ...curveMetrics(metrics.overall, hoursPerTick), asset_hours_lost_weighted: round2(lostAll) },
+    sectors,
+    top_assets,
+  };
+}
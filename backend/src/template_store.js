@@ -0,0 +1,628 @@
+// backend/src/template_store.js
+// Scenario templates and their rules in SQLite: the field checks shared by the CSV loader and the
+// template API, and the API's list / create / clone / update / delete operations.
+// A template belongs to its CSV file (source = 'CSV') until it is edited through the API; from then
+// on (source = 'API') the loader leaves the template and its rules alone. Every change of a
+// template's content is kept as a numbered version (scenario_template_versions).
+
+import { all, get, writeTransaction } from "./db.js";
+import { CENTRALITY_METRICS } from "./graph_centrality.js";
+import { HAZARD_MODEL_NAMES } from "./hazard_models.js";
+import { SPREAD_MODEL_NAMES } from "./hazard_spread.js";
+
+// Columns every template CSV must have
+export const REQUIRED_COLS = [
+  "template_id","template_name","hazard_type","rule_id","event_kind",
+  "time_pct","time_jitter_pct","selection_scope","sector","subtype",
+  "target_mode","target_value","allow_reuse_asset",
+  "performance_pct","repair_time_min","repair_time_max",
+  "geo_anchor","geo_param_1_km","priority","notes"
+];
+
+export const EVENT_KINDS = ["IMPACT", "REPAIR"];
+export const SELECTION_SCOPES = ["GEO_RADIUS", "GEO_AREA", "GEO_SCATTER", "GRAPH_CENTRALITY", "CYBER_LATERAL"];
+export const TARGET_MODES = ["PCT", "COUNT"];
+
+// Rule columns besides rule_id / template_id, in table order
+export const RULE_FIELDS = [
+  "event_kind", "time_pct", "time_jitter_pct",
+  "selection_scope", "sector", "subtype",
+  "target_mode", "target_value", "allow_reuse_asset",
+  "performance_pct", "repair_time_min", "repair_time_max",
+  "geo_anchor", "geo_param_1_km", "centrality_metric", "intensity_model", "spread_model",
+  "priority", "notes",
+];
+
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function toInt(v, def = null) {
+  if (v === undefined || v === null || String(v).trim() === "") return def;
+  return Math.trunc(Number(v));
+}
+function toFloat(v, def = 0) {
+  if (v === undefined || v === null || String(v).trim() === "") return def;
+  return Number(v);
+}
+function normStr(v, def = "") {
+  if (v === undefined || v === null) return def;
+  return String(v).trim();
+}
+function optionalName(v) {
+  return normStr(v).toUpperCase() || null;
+}
+
+/**
+ * is_active / enabled from a request body: true / false or 1 / 0 ("1" / "0" too); anything else is a 400.
+ */
+function toFlag(v, field) {
+  if (v === true || v === 1 || v === "1") return 1;
+  if (v === false || v === 0 || v === "0") return 0;
+  throw storeError(400, `${field} must be true / false (or 1 / 0)`);
+}
+
+/**
+ * Thrown by the store for bad input / missing rows / conflicts (err.status = HTTP status).
+ */
+function storeError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.extra = extra;
+  return err;
+}
+
+/**
+ * Validates one rule (a CSV row or an API body) and returns the row to store: { rule } or
+ * { error, problems, issues: [{ field, message }] }. Empty optional fields get the same defaults
+ * the CSV loader always used.
+ */
+export function normalizeRule(r) {
+  const rule = {
+    rule_id: normStr(r.rule_id),
+    template_id: normStr(r.template_id),
+    event_kind: normStr(r.event_kind).toUpperCase(),
+    time_pct: toFloat(r.time_pct),
+    time_jitter_pct: toFloat(r.time_jitter_pct, 0),
+    selection_scope: normStr(r.selection_scope).toUpperCase(),
+    sector: normStr(r.sector),
+    subtype: normStr(r.subtype),
+    target_mode: normStr(r.target_mode).toUpperCase(),
+    target_value: toFloat(r.target_value),
+    allow_reuse_asset: toInt(r.allow_reuse_asset, 0),
+    performance_pct: toInt(r.performance_pct, 100),
+    repair_time_min: toInt(r.repair_time_min, null),
+    repair_time_max: toInt(r.repair_time_max, null),
+    geo_anchor: normStr(r.geo_anchor, "CITY_CENTER"),
+    geo_param_1_km: toFloat(r.geo_param_1_km, 0),
+    centrality_metric: optionalName(r.centrality_metric),
+    intensity_model: optionalName(r.intensity_model),
+    spread_model: optionalName(r.spread_model),
+    priority: toInt(r.priority, 5),
+    notes: normStr(r.notes, ""),
+  };
+
+  const issues = []; // { field, message }
+  const problem = (field, message) => issues.push({ field, message });
+  const inRange = (name, lo, hi) => {
+    const v = rule[name];
+    if (!Number.isFinite(v) || v < lo || v > hi) problem(name, `${name} must be a number between ${lo} and ${hi}`);
+  };
+  const oneOf = (name, allowed) => {
+    if (!allowed.includes(rule[name])) problem(name, `${name} must be one of ${allowed.join(", ")}`);
+  };
+
+  if (!ID_RE.test(rule.rule_id)) problem("rule_id", "rule_id is required (letters, digits, _ and -)");
+  if (!ID_RE.test(rule.template_id)) problem("template_id", "template_id is required (letters, digits, _ and -)");
+  oneOf("event_kind", EVENT_KINDS);
+  inRange("time_pct", 0, 100);
+  inRange("time_jitter_pct", 0, 100);
+  oneOf("selection_scope", SELECTION_SCOPES);
+  if (!rule.sector) problem("sector", "sector is required");
+  if (!rule.subtype) problem("subtype", "subtype is required");
+  oneOf("target_mode", TARGET_MODES);
+  inRange("target_value", 0, rule.target_mode === "PCT" ? 100 : 100000);
+  if (![0, 1].includes(rule.allow_reuse_asset)) problem("allow_reuse_asset", "allow_reuse_asset must be 0 or 1");
+  inRange("performance_pct", 0, 100);
+  for (const name of ["repair_time_min", "repair_time_max"]) {
+    if (rule[name] !== null && !(rule[name] >= 0)) problem(name, `${name} must be empty or a number of minutes >= 0`);
+  }
+  if (rule.repair_time_min !== null && rule.repair_time_max !== null && rule.repair_time_min > rule.repair_time_max) {
+    problem("repair_time_min", "repair_time_min must not exceed repair_time_max");
+  }
+  inRange("geo_param_1_km", 0, 1000);
+  if (rule.centrality_metric && !CENTRALITY_METRICS.includes(rule.centrality_metric)) {
+    problem("centrality_metric", `unknown centrality_metric ${rule.centrality_metric}`);
+  }
+  if (rule.intensity_model && !HAZARD_MODEL_NAMES.includes(rule.intensity_model)) {
+    problem("intensity_model", `unknown intensity_model ${rule.intensity_model}`);
+  }
+  if (rule.spread_model && !SPREAD_MODEL_NAMES.includes(rule.spread_model)) {
+    problem("spread_model", `unknown spread_model ${rule.spread_model}`);
+  }
+  inRange("priority", 0, 100);
+
+  if (issues.length) {
+    const problems = issues.map((p) => p.message);
+    return { error: `Rule ${rule.rule_id || "?"}: ${problems.join("; ")}`, problems, issues };
+  }
+  return { rule };
+}
+
+function normalizeTemplate(t) {
+  const template = {
+    template_id: normStr(t.template_id),
+    template_name: normStr(t.template_name),
+    hazard_type: normStr(t.hazard_type).toUpperCase(),
+  };
+  const problems = [];
+  if (!ID_RE.test(template.template_id)) problems.push("template_id is required (letters, digits, _ and -)");
+  if (!template.template_name) problems.push("template_name is required");
+  if (!template.hazard_type) problems.push("hazard_type is required");
+  return problems.length ? { error: problems.join("; "), problems } : { template };
+}
+
+// ============================================================
+// Reads
+// ============================================================
+
+export async function listTemplates(db) {
+  return all(
+    db,
+    `
+    SELECT t.template_id, t.template_name, t.hazard_type, t.version, t.is_active, t.source, t.updated_at,
+           COUNT(r.rule_id) AS rules_count,
+           COALESCE(SUM(r.enabled), 0) AS enabled_rules
+    FROM scenario_templates t
+    LEFT JOIN scenario_template_rules r ON r.template_id = t.template_id
+    GROUP BY t.template_id
+    ORDER BY t.hazard_type, t.template_id
+    `
+  );
+}
+
+/**
+ * The template and all of its rules (disabled ones too), or null.
+ */
+export async function getTemplate(db, templateId) {
+  const template = await get(
+    db,
+    `SELECT template_id, template_name, hazard_type, version, is_active, source, updated_at
+     FROM scenario_templates WHERE template_id = ?`,
+    [templateId]
+  );
+  if (!template) return null;
+
+  const rules = await all(
+    db,
+    `
+    SELECT rule_id, template_id, ${RULE_FIELDS.join(", ")}, enabled
+    FROM scenario_template_rules
+    WHERE template_id = ?
+    ORDER BY time_pct ASC, priority DESC, rule_id ASC
+    `,
+    [templateId]
+  );
+  return { template, rules };
+}
+
+async function requireTemplate(db, templateId) {
+  const found = await getTemplate(db, templateId);
+  if (!found) throw storeError(404, `template_id not found: ${templateId}`);
+  return found;
+}
+
+async function requireRule(db, ruleId) {
+  const rule = await get(
+    db,
+    `SELECT rule_id, template_id, ${RULE_FIELDS.join(", ")}, enabled FROM scenario_template_rules WHERE rule_id = ?`,
+    [ruleId]
+  );
+  if (!rule) throw storeError(404, `rule_id not found: ${ruleId}`);
+  return rule;
+}
+
+// Prepared instances keep referring to their template / rules
+async function instancesUsingTemplate(db, templateId) {
+  const row = await get(
+    db,
+    `
+    SELECT COUNT(DISTINCT id) AS n FROM (
+      SELECT id FROM scenario_instances WHERE template_id = ?
+      UNION
+      SELECT instance_id AS id FROM scenario_instance_stages WHERE template_id = ?
+    )
+    `,
+    [templateId, templateId]
+  );
+  return Number(row?.n || 0);
+}
+
+async function eventsUsingRule(db, ruleId) {
+  const row = await get(db, `SELECT COUNT(*) AS n FROM scenario_events WHERE source_rule_id = ?`, [ruleId]);
+  return Number(row?.n || 0);
+}
+
+// ============================================================
+// Versions: an immutable snapshot per change of a template
+// ============================================================
+
+const SNAPSHOT_RULE_FIELDS = ["rule_id", ...RULE_FIELDS, "enabled"];
+
+/**
+ * What a version records: name, hazard type and every rule (disabled ones too), by rule_id.
+ * Enabling / disabling the whole template does not change its content.
+ */
+export function templateSnapshot(template, rules) {
+  const ordered = [...rules].sort((a, b) => String(a.rule_id).localeCompare(String(b.rule_id)));
+  return {
+    template_name: template.template_name,
+    hazard_type: template.hazard_type,
+    rules_json: JSON.stringify(ordered.map((r) => Object.fromEntries(SNAPSHOT_RULE_FIELDS.map((f) => [f, r[f] ?? null])))),
+  };
+}
+
+/**
+ * The version to store the current snapshot under, or null when the latest stored version already
+ * has this content. The first snapshot of a template keeps the template's current number.
+ */
+export function nextTemplateVersion(template, snapshot, latest) {
+  if (!latest) return Number(template.version) || 1;
+  const same =
+    latest.template_name === snapshot.template_name &&
+    latest.hazard_type === snapshot.hazard_type &&
+    latest.rules_json === snapshot.rules_json;
+  return same ? null : Math.max(Number(template.version) || 1, latest.version) + 1;
+}
+
+// The template's current snapshot, its latest stored version and the version the snapshot
+// belongs under (null = the latest one already has it); null when the template does not exist.
+async function pendingTemplateVersion(db, templateId) {
+  const template = await get(
+    db,
+    `SELECT template_id, template_name, hazard_type, version, source FROM scenario_templates WHERE template_id = ?`,
+    [templateId]
+  );
+  if (!template) return null;
+
+  const rules = await all(
+    db,
+    `SELECT ${SNAPSHOT_RULE_FIELDS.join(", ")} FROM scenario_template_rules WHERE template_id = ?`,
+    [templateId]
+  );
+  const snapshot = templateSnapshot(template, rules);
+  const latest = await get(
+    db,
+    `SELECT version, template_name, hazard_type, rules_json FROM scenario_template_versions
+     WHERE template_id = ? ORDER BY version DESC LIMIT 1`,
+    [templateId]
+  );
+  return { template, snapshot, latest, version: nextTemplateVersion(template, snapshot, latest) };
+}
+
+/**
+ * The version a prepare would record right now, without storing anything (dry runs): the latest
+ * stored one, or the number the next sync will store changed rules under.
+ */
+export async function currentTemplateVersion(db, templateId) {
+  const pending = await pendingTemplateVersion(db, templateId);
+  if (!pending) return null;
+  return pending.version ?? pending.latest.version;
+}
+
+export async function listTemplateVersions(db, templateId) {
+  await requireTemplate(db, templateId);
+  const rows = await all(
+    db,
+    `SELECT version, template_name, hazard_type, source, created_at, rules_json
+     FROM scenario_template_versions WHERE template_id = ? ORDER BY version DESC`,
+    [templateId]
+  );
+  return rows.map(({ rules_json, ...v }) => ({ ...v, rules_count: JSON.parse(rules_json).length }));
+}
+
+/**
+ * One stored version with its rules, or null.
+ */
+export async function getTemplateVersion(db, templateId, version) {
+  const row = await get(
+    db,
+    `SELECT template_id, version, template_name, hazard_type, source, created_at, rules_json
+     FROM scenario_template_versions WHERE template_id = ? AND version = ?`,
+    [templateId, version]
+  );
+  if (!row) return null;
+  const { rules_json, ...v } = row;
+  return { ...v, rules: JSON.parse(rules_json) };
+}
+
+/**
+ * What changed from one version to another: template fields, added / removed rules and, for
+ * rules in both, the fields that differ ({ field: { from, to } }).
+ */
+export async function diffTemplateVersions(db, templateId, fromVersion, toVersion) {
+  const [a, b] = await Promise.all([
+    getTemplateVersion(db, templateId, fromVersion),
+    getTemplateVersion(db, templateId, toVersion),
+  ]);
+  for (const [v, found] of [[fromVersion, a], [toVersion, b]]) {
+    if (!found) throw storeError(404, `Version ${v} of ${templateId} not found`);
+  }
+
+  const fieldChanges = (x, y, fields) =>
+    Object.fromEntries(fields.filter((f) => x[f] !== y[f]).map((f) => [f, { from: x[f], to: y[f] }]));
+  const before = new Map(a.rules.map((r) => [r.rule_id, r]));
+  const after = new Map(b.rules.map((r) => [r.rule_id, r]));
+
+  const changed = [];
+  let unchanged = 0;
+  for (const [ruleId, r] of before) {
+    if (!after.has(ruleId)) continue;
+    const changes = fieldChanges(r, after.get(ruleId), SNAPSHOT_RULE_FIELDS);
+    if (Object.keys(changes).length) changed.push({ rule_id: ruleId, changes });
+    else unchanged += 1;
+  }
+
+  return {
+    template_id: templateId,
+    from: a.version,
+    to: b.version,
+    template: fieldChanges(a, b, ["template_name", "hazard_type"]),
+    added: b.rules.filter((r) => !before.has(r.rule_id)),
+    removed: a.rules.filter((r) => !after.has(r.rule_id)),
+    changed,
+    unchanged,
+  };
+}
+
+// ============================================================
+// Writes (each one takes the template over from its CSV)
+// ============================================================
+// Checks run first, on db; the writes of one operation then run in one writeTransaction, where
+// the checks a concurrent request could have invalidated meanwhile (ids taken) are repeated.
+
+const TEMPLATE_COLUMNS = "template_id, template_name, hazard_type, version, source";
+
+/**
+ * Stores a new version if the template changed since its latest one (conn: better-sqlite3, inside a
+ * write transaction); returns the version stored, or null when nothing changed.
+ */
+export function storeTemplateVersion(conn, templateId) {
+  const template = conn.prepare(`SELECT ${TEMPLATE_COLUMNS} FROM scenario_templates WHERE template_id = ?`).get(templateId);
+  if (!template) return null;
+
+  const rules = conn
+    .prepare(`SELECT ${SNAPSHOT_RULE_FIELDS.join(", ")} FROM scenario_template_rules WHERE template_id = ?`)
+    .all(templateId);
+  const snapshot = templateSnapshot(template, rules);
+  const latest = conn
+    .prepare(
+      `SELECT version, template_name, hazard_type, rules_json FROM scenario_template_versions
+       WHERE template_id = ? ORDER BY version DESC LIMIT 1`
+    )
+    .get(templateId);
+  const version = nextTemplateVersion(template, snapshot, latest);
+  if (version === null) return null;
+
+  conn
+    .prepare(
+      `INSERT OR IGNORE INTO scenario_template_versions (template_id, version, template_name, hazard_type, rules_json, source)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(templateId, version, snapshot.template_name, snapshot.hazard_type, snapshot.rules_json, template.source || "CSV");
+  conn.prepare(`UPDATE scenario_templates SET version = ? WHERE template_id = ?`).run(version, templateId);
+  return version;
+}
+
+function touchTemplate(conn, templateId) {
+  conn.prepare(`UPDATE scenario_templates SET source = 'API', updated_at = CURRENT_TIMESTAMP WHERE template_id = ?`).run(templateId);
+  storeTemplateVersion(conn, templateId);
+}
+
+function insertTemplate(conn, template) {
+  if (conn.prepare(`SELECT 1 FROM scenario_templates WHERE template_id = ?`).get(template.template_id)) {
+    throw storeError(409, `template_id already exists: ${template.template_id}`);
+  }
+  conn
+    .prepare(
+      `INSERT INTO scenario_templates (template_id, template_name, hazard_type, version, is_active, source, updated_at)
+       VALUES (?, ?, ?, 1, 1, 'API', CURRENT_TIMESTAMP)`
+    )
+    .run(template.template_id, template.template_name, template.hazard_type);
+}
+
+function insertRules(conn, rules) {
+  const taken = rules.filter((r) => conn.prepare(`SELECT 1 FROM scenario_template_rules WHERE rule_id = ?`).get(r.rule_id));
+  if (taken.length) throw storeError(409, `rule_id already exists: ${taken.map((r) => r.rule_id).join(", ")}`);
+
+  const insert = conn.prepare(`
+    INSERT INTO scenario_template_rules (rule_id, template_id, ${RULE_FIELDS.join(", ")}, enabled)
+    VALUES (?, ?, ${RULE_FIELDS.map(() => "?").join(", ")}, ?)
+  `);
+  for (const rule of rules) {
+    insert.run(rule.rule_id, rule.template_id, ...RULE_FIELDS.map((f) => rule[f]), rule.enabled === undefined || rule.enabled ? 1 : 0);
+  }
+}
+
+/**
+ * Next free "<template_id>_R###" id (the CSV naming scheme).
+ */
+async function nextRuleId(db, templateId) {
+  const rows = await all(db, `SELECT rule_id FROM scenario_template_rules WHERE rule_id LIKE ?`, [`${templateId}_R%`]);
+  const used = rows.map((r) => Number(String(r.rule_id).slice(templateId.length + 2))).filter(Number.isInteger);
+  return `${templateId}_R${String(Math.max(0, ...used) + 1).padStart(3, "0")}`;
+}
+
+async function clashingRuleIds(db, ruleIds) {
+  if (!ruleIds.length) return [];
+  const rows = await all(
+    db,
+    `SELECT rule_id FROM scenario_template_rules WHERE rule_id IN (${ruleIds.map(() => "?").join(", ")})`,
+    ruleIds
+  );
+  return rows.map((r) => r.rule_id);
+}
+
+/**
+ * Creates a template, optionally with its rules ({ template_id, template_name, hazard_type, rules? }).
+ */
+export async function createTemplate(db, input = {}) {
+  const { template, error, problems } = normalizeTemplate(input);
+  if (error) throw storeError(400, error, { problems });
+
+  const rules = [];
+  for (const [i, r] of (Array.isArray(input.rules) ? input.rules : []).entries()) {
+    const rule_id = normStr(r?.rule_id) || `${template.template_id}_R${String(i + 1).padStart(3, "0")}`;
+    const checked = normalizeRule({ ...r, rule_id, template_id: template.template_id });
+    if (checked.error) throw storeError(400, `rules[${i}]: ${checked.error}`, { problems: checked.problems });
+    rules.push(checked.rule);
+  }
+  if (new Set(rules.map((r) => r.rule_id)).size !== rules.length) throw storeError(400, "rules contain duplicate rule_id");
+
+  if (await get(db, `SELECT 1 FROM scenario_templates WHERE template_id = ?`, [template.template_id])) {
+    throw storeError(409, `template_id already exists: ${template.template_id}`);
+  }
+  const taken = await clashingRuleIds(db, rules.map((r) => r.rule_id));
+  if (taken.length) throw storeError(409, `rule_id already exists: ${taken.join(", ")}`);
+
+  writeTransaction(db, (conn) => {
+    insertTemplate(conn, template);
+    insertRules(conn, rules);
+    storeTemplateVersion(conn, template.template_id);
+  });
+
+  return getTemplate(db, template.template_id);
+}
+
+/**
+ * Copies a template and all of its rules under a new id. Rule ids keep their suffix:
+ * EQ_030_R004 -> <new_template_id>_R004.
+ */
+export async function cloneTemplate(db, templateId, { new_template_id, template_name } = {}) {
+  const { template, rules } = await requireTemplate(db, templateId);
+  const newId = normStr(new_template_id);
+  const renameRule = (ruleId) =>
+    ruleId.startsWith(`${templateId}_`) ? `${newId}${ruleId.slice(templateId.length)}` : `${newId}_${ruleId}`;
+
+  const { error, problems } = normalizeTemplate({ ...template, template_id: newId });
+  if (error) throw storeError(400, `new_template_id: ${error}`, { problems });
+  if (await get(db, `SELECT 1 FROM scenario_templates WHERE template_id = ?`, [newId])) {
+    throw storeError(409, `template_id already exists: ${newId}`);
+  }
+  const copies = rules.map((r) => ({ ...r, rule_id: renameRule(r.rule_id), template_id: newId }));
+  const taken = await clashingRuleIds(db, copies.map((r) => r.rule_id));
+  if (taken.length) throw storeError(409, `rule_id already exists: ${taken.join(", ")}`);
+
+  writeTransaction(db, (conn) => {
+    insertTemplate(conn, {
+      template_id: newId,
+      template_name: normStr(template_name) || `${template.template_name} (copy)`,
+      hazard_type: template.hazard_type,
+    });
+    insertRules(conn, copies);
+    storeTemplateVersion(conn, newId);
+  });
+
+  return getTemplate(db, newId);
+}
+
+/**
+ * Renames / re-types a template or enables / disables it ({ template_name?, hazard_type?, is_active? }).
+ */
+export async function updateTemplate(db, templateId, patch = {}) {
+  const { template } = await requireTemplate(db, templateId);
+  const merged = {
+    ...template,
+    ...(patch.template_name !== undefined ? { template_name: patch.template_name } : {}),
+    ...(patch.hazard_type !== undefined ? { hazard_type: patch.hazard_type } : {}),
+  };
+  const { template: checked, error, problems } = normalizeTemplate(merged);
+  if (error) throw storeError(400, error, { problems });
+
+  const is_active = patch.is_active === undefined ? template.is_active : toFlag(patch.is_active, "is_active");
+  writeTransaction(db, (conn) => {
+    conn
+      .prepare(`UPDATE scenario_templates SET template_name = ?, hazard_type = ?, is_active = ? WHERE template_id = ?`)
+      .run(checked.template_name, checked.hazard_type, is_active, templateId);
+    touchTemplate(conn, templateId);
+  });
+  return getTemplate(db, templateId);
+}
+
+/**
+ * Deletes an API-owned template nothing refers to. CSV templates would come back on the next
+ * load and prepared instances keep pointing at theirs: both are disabled instead (409).
+ */
+export async function deleteTemplate(db, templateId) {
+  const { template } = await requireTemplate(db, templateId);
+  if (template.source !== "API") {
+    throw storeError(409, `Template ${templateId} is defined by a CSV file; disable it instead (is_active: false)`);
+  }
+  const used = await instancesUsingTemplate(db, templateId);
+  if (used) {
+    throw storeError(409, `Template ${templateId} is used by ${used} prepared scenarios; disable it instead (is_active: false)`, {
+      instances: used,
+    });
+  }
+
+  writeTransaction(db, (conn) => {
+    for (const table of ["scenario_template_versions", "scenario_template_rules", "scenario_templates"]) {
+      conn.prepare(`DELETE FROM ${table} WHERE template_id = ?`).run(templateId);
+    }
+  });
+  return { template_id: templateId, deleted: true };
+}
+
+/**
+ * Adds a rule to a template ({ rule_id?, ...rule fields, enabled? }); rule_id defaults to the next free one.
+ */
+export async function createRule(db, templateId, input = {}) {
+  await requireTemplate(db, templateId);
+  const enabled = input.enabled === undefined ? 1 : toFlag(input.enabled, "enabled");
+  const rule_id = normStr(input.rule_id) || (await nextRuleId(db, templateId));
+  const { rule, error, problems } = normalizeRule({ ...input, rule_id, template_id: templateId });
+  if (error) throw storeError(400, error, { problems });
+  if ((await clashingRuleIds(db, [rule.rule_id])).length) throw storeError(409, `rule_id already exists: ${rule.rule_id}`);
+
+  writeTransaction(db, (conn) => {
+    insertRules(conn, [{ ...rule, enabled }]);
+    touchTemplate(conn, templateId);
+  });
+  return requireRule(db, rule.rule_id);
+}
+
+/**
+ * Changes some fields of a rule (the whole rule is validated again) or enables / disables it.
+ */
+export async function updateRule(db, ruleId, patch = {}) {
+  const current = await requireRule(db, ruleId);
+  const changes = Object.fromEntries(RULE_FIELDS.filter((f) => patch[f] !== undefined).map((f) => [f, patch[f]]));
+  const { rule, error, problems } = normalizeRule({ ...current, ...changes });
+  if (error) throw storeError(400, error, { problems });
+
+  const enabled = patch.enabled === undefined ? current.enabled : toFlag(patch.enabled, "enabled");
+  writeTransaction(db, (conn) => {
+    conn
+      .prepare(`UPDATE scenario_template_rules SET ${RULE_FIELDS.map((f) => `${f} = ?`).join(", ")}, enabled = ? WHERE rule_id = ?`)
+      .run(...RULE_FIELDS.map((f) => rule[f]), enabled, ruleId);
+    touchTemplate(conn, current.template_id);
+  });
+  return requireRule(db, ruleId);
+}
+
+/**
+ * Deletes a rule no prepared scenario was built from (those are disabled instead: 409).
+ */
+export async function deleteRule(db, ruleId) {
+  const rule = await requireRule(db, ruleId);
+  const used = await eventsUsingRule(db, ruleId);
+  if (used) {
+    throw storeError(409, `Rule ${ruleId} produced ${used} events of prepared scenarios; disable it instead (enabled: false)`, {
+      events: used,
+    });
+  }
+
+  writeTransaction(db, (conn) => {
+    conn.prepare(`DELETE FROM scenario_template_rules WHERE rule_id = ?`).run(ruleId);
+    touchTemplate(conn, rule.template_id);
+  });
+  return { rule_id: ruleId, template_id: rule.template_id, deleted: true };
+}
@@ -0,0 +1,119 @@
+// backend/src/template_validator.js
+// Lint report for scenario template rules: CSV files, stored templates and template editor drafts.
+// Errors make a rule unusable (a CSV file with any error is not loaded); warnings flag rules that
+// load but cannot do what they say (no asset can match them, a model field their scope ignores).
+
+import { REQUIRED_COLS, normalizeRule } from "./template_store.js";
+import { SECTOR_SUBTYPES, SEED_ASSET_SUBTYPES } from "./asset_types.js";
+
+// Scopes that read each optional model field (elsewhere the engine ignores it)
+const MODEL_FIELD_SCOPES = {
+  intensity_model: ["GEO_RADIUS"],
+  spread_model: ["GEO_RADIUS", "GEO_AREA"],
+  centrality_metric: ["GRAPH_CENTRALITY"],
+};
+
+/**
+ * sector -> Set of subtypes an asset can have: the pairs of the assets in the DB ([{ sector, subtype }]).
+ * Only while the DB has no assets yet, whatever either seeder (seed_city.js, npm run seed) can create.
+ */
+export function knownAssetTypes(assetPairs = []) {
+  const types = new Map();
+  const add = (sector, subtype) => {
+    if (!sector || !subtype) return;
+    if (!types.has(sector)) types.set(sector, new Set());
+    types.get(sector).add(subtype);
+  };
+
+  for (const { sector, subtype } of assetPairs) add(sector, subtype);
+  if (types.size) return types;
+
+  for (const dictionary of [SECTOR_SUBTYPES, SEED_ASSET_SUBTYPES]) {
+    for (const [sector, subtypes] of Object.entries(dictionary)) subtypes.forEach((subtype) => add(sector, subtype));
+  }
+  return types;
+}
+
+/**
+ * Missing CSV columns, as lint issues.
+ */
+export function lintHeaders(row0) {
+  return REQUIRED_COLS.filter((c) => !(c in row0)).map((c) => ({
+    level: "error",
+    field: c,
+    message: `Missing column in CSV: ${c}`,
+  }));
+}
+
+/**
+ * Issues of one rule: [{ level: "error" | "warning", field, message }].
+ */
+export function lintRule(row, { assetTypes }) {
+  const checked = normalizeRule(row);
+  if (checked.error) return checked.issues.map((p) => ({ level: "error", ...p }));
+
+  const { rule } = checked;
+  const issues = [];
+  const warn = (field, message) => issues.push({ level: "warning", field, message });
+
+  const subtypes = assetTypes.get(rule.sector);
+  if (!subtypes) {
+    warn("sector", `No asset has sector ${rule.sector} (known: ${[...assetTypes.keys()].join(", ")})`);
+  } else if (!subtypes.has(rule.subtype)) {
+    warn("subtype", `No ${rule.sector} asset has subtype ${rule.subtype} (known: ${[...subtypes].join(", ")})`);
+  }
+
+  for (const [field, scopes] of Object.entries(MODEL_FIELD_SCOPES)) {
+    if (rule[field] && !scopes.includes(rule.selection_scope)) {
+      warn(field, `${field} is ignored with selection_scope ${rule.selection_scope} (only ${scopes.join(", ")})`);
+    }
+  }
+  for (const field of ["intensity_model", "spread_model"]) {
+    if (rule[field] && rule.event_kind !== "IMPACT") warn(field, `${field} is ignored on ${rule.event_kind} rules`);
+  }
+
+  return issues;
+}
+
+/**
+ * Lints template rows (CSV rows or stored rules, each with its template_id):
+ * { ok, errors, warnings, rules_checked, issues: [{ index, rule_id, template_id, level, field, message }] }.
+ * index is the row's position in rows (CSV line = index + 2). Besides each rule's own issues:
+ * a rule_id listed twice is an error (duplicate_of = index of the first), a template whose rows
+ * disagree on name / hazard type a warning.
+ */
+export function lintTemplateRows(rows, { assetTypes }) {
+  const issues = [];
+  const seenRules = new Map(); // rule_id -> first index
+  const templateHeader = new Map(); // template_id -> first row
+
+  for (const [index, row] of rows.entries()) {
+    const rule_id = String(row.rule_id ?? "").trim();
+    const template_id = String(row.template_id ?? "").trim();
+    const add = (issue) => issues.push({ index, rule_id, template_id, ...issue });
+
+    for (const issue of lintRule(row, { assetTypes })) add(issue);
+
+    if (rule_id && seenRules.has(rule_id)) {
+      const duplicate_of = seenRules.get(rule_id);
+      add({ level: "error", field: "rule_id", message: `rule_id ${rule_id} is listed more than once`, duplicate_of });
+    } else if (rule_id) {
+      seenRules.set(rule_id, index);
+    }
+
+    if (row.template_name === undefined && row.hazard_type === undefined) continue;
+    const first = templateHeader.get(template_id);
+    if (!first) {
+      templateHeader.set(template_id, row);
+      continue;
+    }
+    for (const field of ["template_name", "hazard_type"]) {
+      if (String(row[field] ?? "").trim() !== String(first[field] ?? "").trim()) {
+        add({ level: "warning", field, message: `${field} differs from the template's first row (the first row wins)` });
+      }
+    }
+  }
+
+  const errors = issues.filter((i) => i.level === "error").length;
+  return { ok: errors === 0, errors, warnings: issues.length - errors, rules_checked: rows.length, issues };
+}
@@ -0,0 +1,65 @@
+// backend/src/workforce.js
+// Workforce availability for scenarios that hit people rather than equipment (pandemic).
+// Absenteeism follows a single wave over the scenario duration; the share of staff at work
+// limits how many repair crews can be dispatched and caps the output of staffed assets.
+
+// Instance hazard_params read by the workforce curve (validated by resolveHazardParams)
+export const WORKFORCE_PARAMS = {
+  // Share of staff off sick / isolating at the height of the wave
+  absenteeism_peak_pct: { default: 35, min: 0, max: 90 },
+  // When the wave peaks, as % of the scenario duration
+  absenteeism_peak_at_pct: { default: 40, min: 0, max: 100 },
+  // Spread of the wave (standard deviation), as % of the scenario duration
+  absenteeism_width_pct: { default: 20, min: 1, max: 100 },
+};
+
+// Assets whose output depends on people on shift: sector -> subtypes (null = the whole sector)
+const STAFFED_ASSETS = {
+  first_responders: null,
+  water: ["treatment"],
+};
+
+export function isStaffedAsset(asset) {
+  const sector = String(asset?.sector || "").toLowerCase();
+  if (!(sector in STAFFED_ASSETS)) return false;
+  const subtypes = STAFFED_ASSETS[sector];
+  return !subtypes || subtypes.includes(String(asset.subtype || "").toLowerCase());
+}
+
+/**
+ * The instance config entry: the curve's parameters, taken from the validated hazard_params.
+ * The wave runs over ticks [startTick, startTick + ticks) (a later stage of a compound scenario).
+ */
+export function workforceConfig(params, startTick, ticks) {
+  return {
+    peak_pct: params.absenteeism_peak_pct,
+    peak_at_pct: params.absenteeism_peak_at_pct,
+    width_pct: params.absenteeism_width_pct,
+    start_tick: startTick,
+    ticks,
+  };
+}
+
+/**
+ * Share of the workforce available at tick t (0..1): 1 - peak * gaussian(position in the wave),
+ * everyone at work before the wave starts.
+ */
+export function workforceAvailability(workforce, t, totalTicks) {
+  const start = workforce.start_tick ?? 0;
+  if (t < start) return 1;
+  const x = ((t - start) / Math.max(1, workforce.ticks ?? totalTicks)) * 100 - workforce.peak_at_pct;
+  const absent = (workforce.peak_pct / 100) * Math.exp(-(x * x) / (2 * workforce.width_pct * workforce.width_pct));
+  return Math.round((1 - absent) * 1000) / 1000;
+}
+
+/**
+ * Lowest availability over the run: { availability_pct, tick }.
+ */
+export function workforceLow(workforce, totalTicks) {
+  let low = { availability_pct: 100, tick: 0 };
+  for (let t = 0; t < totalTicks; t++) {
+    const pct = Math.round(workforceAvailability(workforce, t, totalTicks) * 100);
+    if (pct < low.availability_pct) low = { availability_pct: pct, tick: t };
+  }
+  return low;
+}
@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createRunMetrics, recordSectorTick } from "../src/sim_metrics.js";
+
+test("recordSectorTick: a sector fully down records 0, not 100", () => {
+  const metrics = createRunMetrics();
+  recordSectorTick(metrics, { electricity: 0, water: 300 }, { electricity: 2, water: 3 });
+
+  assert.deepEqual(metrics.sectors.electricity, [0]);
+  assert.deepEqual(metrics.sectors.water, [100]);
+  assert.deepEqual(metrics.overall, [60]);
+});
+
+test("recordSectorTick: a sector with no recorded performance counts as healthy", () => {
+  const metrics = createRunMetrics();
+  recordSectorTick(metrics, {}, { gas: 4 });
+
+  assert.deepEqual(metrics.sectors.gas, [100]);
+  assert.deepEqual(metrics.overall, [100]);
+});
@@ -99,6 +99,26 @@ export async function apiPrepareScenario(payload = {}) {
   return postJson(url, payload);
 }
 
+/**
+ * POST /api/scenario/prepare?dry_run=1: what prepare would create, per rule, without storing anything.
+ */
+export async function apiPreviewScenario(payload = {}) {
+  const url = `${DEMO_BACKEND_BASE}/api/scenario/prepare?dry_run=1`;
+  return postJson(url, payload);
+}
+
+/**
+ * GET /api/scenario/anchors: anchors the scenario's rules reference ({ type, required, fallback, max_radius_km }).
+ */
+export async function apiScenarioAnchors(scenario) {
+  const url = `${DEMO_BACKEND_BASE}/api/scenario/anchors?scenario=${encodeURIComponent(scenario)}`;
+  const res = await fetch(url);
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} from ${url}. ${text}`);
+  }
+  return res.json();
+}
 
 // =========================
 // Dependencies Graph API
@@ -126,6 +146,107 @@ export async function apiSimState(sim_run_id) {
   return res.json();
 }
 
+/**
+ * Run control: action = "pause" | "resume" | "cancel" | "set_speed" (with tick_delay_ms).
+ */
+export async function apiSimControl(sim_run_id, action, extra = {}) {
+  const url = `${DEMO_BACKEND_BASE}/api/sim/control`;
+  return postJson(url, { sim_run_id, action, ...extra });
+}
+
+/**
+ * Injects facilitator interventions into a live run.
+ * interventions: [{ type: "DAMAGE" | "RESTORE" | "MOBILE_GENERATOR", asset_id, at_tick?, performance_pct?, duration_ticks? }]
+ */
+export async function apiSimInject(sim_run_id, interventions, injected_by = "facilitator") {
+  const url = `${DEMO_BACKEND_BASE}/api/sim/inject`;
+  return postJson(url, { sim_run_id, injected_by, interventions });
+}
+
+/**
+ * GET /api/sim/metrics: resilience metrics computed by the engine (per sector + city-wide).
+ */
+export async function apiSimMetrics(sim_run_id) {
+  const url = `${DEMO_BACKEND_BASE}/api/sim/metrics?sim_run_id=${encodeURIComponent(sim_run_id)}`;
+  const res = await fetch(url);
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} from ${url}. ${text}`);
+  }
+  return res.json();
+}
+
+/**
+ * GET /api/sim/compare: sector deltas, downtime and asset outcome differences (B minus A).
+ */
+export async function apiSimCompare(a, b) {
+  const url = `${DEMO_BACKEND_BASE}/api/sim/compare?a=${encodeURIComponent(a)}&b=${encodeURIComponent(b)}`;
+  const res = await fetch(url);
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} from ${url}. ${text}`);
+  }
+  return res.json();
+}
+
+/**
+ * POST /api/sim/fork: replay a finished run up to fork_tick, then apply the modifications there.
+ */
+export async function apiSimFork(sim_run_id, fork_tick, modifications, forked_by = "planner") {
+  const url = `${DEMO_BACKEND_BASE}/api/sim/fork`;
+  return postJson(url, { sim_run_id, fork_tick, forked_by, modifications });
+}
+
+/**
+ * Subscribes to GET /api/sim/stream (Server-Sent Events).
+ * - onTick(payload) for every computed tick (EventSource resumes via Last-Event-ID on reconnect)
+ * - onDone(info) once the run finished
+ * - onFallback() if the stream is unavailable; callers go back to polling apiSimTick
+ * Returns a close() function.
+ */
+export function openSimStream(sim_run_id, { onTick, onDone, onFallback } = {}) {
+  if (typeof EventSource === "undefined") {
+    onFallback?.();
+    return () => {};
+  }
+
+  const url = `${DEMO_BACKEND_BASE}/api/sim/stream?sim_run_id=${encodeURIComponent(sim_run_id)}`;
+  const es = new EventSource(url);
+  let closed = false;
+
+  const close = () => {
+    closed = true;
+    es.close();
+  };
+
+  es.addEventListener("tick", (e) => {
+    try {
+      onTick?.(JSON.parse(e.data));
+    } catch (err) {
+      console.warn("sim stream: bad tick payload", err);
+    }
+  });
+
+  es.addEventListener("done", (e) => {
+    close();
+    try {
+      onDone?.(JSON.parse(e.data));
+    } catch (_) {
+      onDone?.({});
+    }
+  });
+
+  es.onerror = () => {
+    // CONNECTING = the browser is retrying on its own; CLOSED = give up
+    if (!closed && es.readyState === EventSource.CLOSED) {
+      closed = true;
+      onFallback?.();
+    }
+  };
+
+  return close;
+}
+
 export async function apiSimTick(sim_run_id, tick_index) {
   const url = `${DEMO_BACKEND_BASE}/api/sim/tick?sim_run_id=${encodeURIComponent(sim_run_id)}&tick_index=${encodeURIComponent(String(tick_index))}`;
   const res = await fetch(url);
@@ -14,7 +14,22 @@
 
 
 import { SECTORS, ASSET_STATUS } from "./constants.js";
-import { apiChat, apiExecute, apiPrepareScenario, apiSimState, apiSimTick, localFallbackReply } from "./api.js";
+import {
+  apiChat,
+  apiExecute,
+  apiPrepareScenario,
+  apiPreviewScenario,
+  apiScenarioAnchors,
+  apiSimState,
+  apiSimTick,
+  apiSimControl,
+  apiSimInject,
+  apiSimFork,
+  apiSimCompare,
+  apiSimMetrics,
+  openSimStream,
+  localFallbackReply,
+} from "./api.js";
 const ASSET_STATUS_BY_ID = new Map(); // assetId -> "FAILED" | "DEGRADED" | "RECOVERED"
 
 let MAP = null;
@@ -38,6 +53,11 @@ const SIM = {
   pollTimer: null,
   cache: new Map(),
   lastStatusById: new Map(),
+  dispatch_policy: "FIFO",
+  // Tick stream (SSE): payloads pushed ahead of playback + goToTick waiters
+  closeStream: null,
+  streamed: new Map(),
+  tickWaiters: new Map(),
 };
 
 // Local asset cache (all assets ever loaded)
@@ -199,6 +219,283 @@ async function goToTick(targetTick, { fromUser = false } = {}) {
   }
 }
 
+/**
+ * Points the SIM controller + timeline at a run (fresh or reopened) and starts from opts.startTick.
+ * opts.autoplay: play forward; otherwise stay on that tick and let the user scrub.
+ */
+function attachSimRun(data, { autoplay = true, startTick = 0 } = {}) {
+  SIM.sim_run_id = String(data.sim_run_id);
+  SIM.scenario_instance_id = String(data.scenario_instance_id || "");
+  SIM.total_ticks = Number(data.total_ticks || SIM.total_ticks || 0);
+  SIM.dispatch_policy = String(data.dispatch_policy || "FIFO");
+  SIM.current_tick = 0;
+  SIM.max_computed_tick = -1;
+  // A finished run can be scrubbed anywhere; a live one only up to what was played
+  SIM.max_visited_tick = data.done ? Math.max(0, Number(data.computed_max_tick || 0)) : startTick;
+  SIM.cache.clear();
+  SIM.resultsSuggested = false;
+  ASSET_STATUS_BY_ID.clear();
+  renderHazardFronts([]);
+  subscribeSimStream(SIM.sim_run_id);
+
+  bindTimelineControlsOnce();
+  setTimelinePlayIcon(autoplay);
+  SIM.playing = autoplay;
+
+  const els = getTimelineEls();
+  if (els?.range) els.range.value = String(startTick);
+  updateTimelineTitle();
+  refreshRunBranches(data);
+
+  // Start loop
+  if (autoplay && !startTick) tickLoop();
+  else preloadTicks(startTick).then(() => goToTick(startTick, { fromUser: false })).then(() => SIM.playing && tickLoop());
+}
+
+/**
+ * Fills the cache up to (not including) `tick` so asset statuses can be rebuilt when
+ * playback starts mid-run (branch switch).
+ */
+async function preloadTicks(tick) {
+  const run = SIM.sim_run_id;
+  for (let t = 0; t < tick; t++) {
+    if (SIM.sim_run_id !== run) return;
+    if (SIM.cache.has(t)) continue;
+    const payload = await waitForTick(t);
+    if (payload) SIM.cache.set(t, payload);
+  }
+}
+
+// Guards the parent walk against cycles / very deep fork chains
+const RUN_BRANCH_MAX_DEPTH = 20;
+
+/**
+ * The fork tree a run belongs to, depth-first from the original run:
+ * [{ sim_run_id, fork_tick, label }] ("What-if 2.1" = first fork of the second fork).
+ */
+async function loadRunFamily(data) {
+  let root = Array.isArray(data.forks) ? data : await apiSimState(data.sim_run_id);
+  for (let i = 0; root.parent_sim_run_id && i < RUN_BRANCH_MAX_DEPTH; i++) {
+    root = await apiSimState(root.parent_sim_run_id);
+  }
+
+  const family = [{ sim_run_id: root.sim_run_id, fork_tick: null, label: "Original run" }];
+  const addForks = async (run, path, depth) => {
+    const forks = Array.isArray(run.forks) ? run.forks : [];
+    for (const [i, f] of forks.entries()) {
+      const label = [...path, i + 1];
+      family.push({ sim_run_id: f.sim_run_id, fork_tick: f.fork_tick, label: `What-if ${label.join(".")}` });
+      if (depth < RUN_BRANCH_MAX_DEPTH) await addForks(await apiSimState(f.sim_run_id), label, depth + 1);
+    }
+  };
+  await addForks(root, [], 1);
+  return family;
+}
+
+/**
+ * Timeline branch selector: the original run plus its what-if forks (and forks of forks).
+ * Hidden when the run has no forks.
+ */
+async function refreshRunBranches(data) {
+  const select = document.querySelector(".impact-timeline .timeline__runs");
+  if (!select) return;
+
+  let family = [];
+  try {
+    family = await loadRunFamily(data);
+  } catch (e) {
+    family = [];
+  }
+
+  if (SIM.sim_run_id !== String(data.sim_run_id)) return;
+  if (family.length < 2) {
+    select.classList.add("is-hidden");
+    select.innerHTML = "";
+    return;
+  }
+
+  select.innerHTML = "";
+  for (const run of family) {
+    const from = run.fork_tick == null ? "" : ` (from tick ${Number(run.fork_tick) + 1})`;
+    select.add(new Option(`${run.label}${from}`, run.sim_run_id));
+  }
+  select.value = SIM.sim_run_id;
+  select.classList.remove("is-hidden");
+
+  if (!select.dataset.bound) {
+    select.dataset.bound = "1";
+    select.addEventListener("change", () => {
+      const id = select.value;
+      if (id && id !== SIM.sim_run_id) openSavedSimRun(id, { startTick: SIM.current_tick, quiet: true });
+    });
+  }
+}
+
+/**
+ * Local command "open run <id>": reopen a saved run on the timeline.
+ * Branch switching reuses it with opts.startTick (keep the tick position), opts.quiet and opts.autoplay.
+ */
+async function openSavedSimRun(sim_run_id, { startTick = 0, quiet = false, autoplay = null } = {}) {
+  let state;
+  try {
+    state = await apiSimState(sim_run_id);
+  } catch (e) {
+    appendBubble({ role: "bot", text: `Simulation run not found: ${sim_run_id}` });
+    return;
+  }
+
+  SIM_RUNNING = true;
+  syncImpactTimelineFromSimcfg({
+    duration_hours: state.config?.duration_hours,
+    tick_minutes: state.tick_minutes,
+  });
+  attachSimRun(state, {
+    autoplay: autoplay ?? (!state.done && !startTick),
+    startTick: Math.min(startTick, Math.max(0, Number(state.total_ticks || 1) - 1)),
+  });
+  updateUiVisibility();
+  if (quiet) return;
+
+  appendBubble({
+    role: "bot",
+    text:
+      `Opened simulation run ${state.sim_run_id} (${state.city}, ${state.config?.scenario || "scenario"}).\n` +
+      `- Status: ${state.status}\n` +
+      `- Ticks: ${state.computed_max_tick + 1}/${state.total_ticks}\n` +
+      `Use the timeline to scrub through it.`,
+  });
+}
+
+/**
+ * Local commands "pause run" / "resume run" / "cancel run" / "run speed <ms>" for the run on the timeline.
+ */
+async function controlCurrentSimRun(match) {
+  if (!SIM.sim_run_id) {
+    appendBubble({ role: "bot", text: "No simulation run is active." });
+    return;
+  }
+
+  const verb = String(match[1] || "").toLowerCase();
+  const action = match[2] ? "set_speed" : verb === "stop" ? "cancel" : verb;
+
+  try {
+    const resp = await apiSimControl(SIM.sim_run_id, action, match[2] ? { tick_delay_ms: Number(match[2]) } : {});
+    const text =
+      action === "set_speed"
+        ? `Backend compute pace set to ${resp.tick_delay_ms} ms per tick.`
+        : `Simulation ${resp.sim_run_id}: ${resp.status}.`;
+    appendBubble({ role: "bot", text });
+  } catch (e) {
+    appendBubble({ role: "bot", text: `Could not ${action.replace("_", " ")} the run: ${e.message}` });
+  }
+}
+
+/**
+ * Facilitator commands (ticks are the 1-based numbers shown on the timeline):
+ * - "damage <asset_id> [pct] [at <tick>]"
+ * - "restore <asset_id> [at <tick>]"
+ * - "generator <asset_id> [ticks]"
+ */
+function parseInterventionCommand(message) {
+  const m = String(message || "").trim();
+  const atTick = (v) => (v ? Math.max(0, Number(v) - 1) : undefined);
+
+  let x = m.match(/^(?:inject\s+)?damage\s+([A-Za-z0-9_-]+)(?:\s+(\d+)%?)?(?:\s+at\s+(?:tick\s+)?(\d+))?$/i);
+  if (x) return { type: "DAMAGE", asset_id: x[1], performance_pct: x[2] ? Number(x[2]) : 0, at_tick: atTick(x[3]) };
+
+  x = m.match(/^restore\s+([A-Za-z0-9_-]+)(?:\s+at\s+(?:tick\s+)?(\d+))?$/i);
+  if (x) return { type: "RESTORE", asset_id: x[1], at_tick: atTick(x[2]) };
+
+  x = m.match(/^(?:deploy\s+)?(?:mobile\s+)?generator\s+(?:to\s+)?([A-Za-z0-9_-]+)(?:\s+(\d+)(?:\s+ticks)?)?$/i);
+  if (x) return { type: "MOBILE_GENERATOR", asset_id: x[1], duration_ticks: x[2] ? Number(x[2]) : 12 };
+
+  return null;
+}
+
+async function injectIntoCurrentSimRun(intervention) {
+  if (!SIM.sim_run_id) {
+    appendBubble({ role: "bot", text: "No simulation run is active." });
+    return;
+  }
+
+  try {
+    const resp = await apiSimInject(SIM.sim_run_id, [intervention], localStorage.getItem("ginom.facilitator") || "facilitator");
+    const iv = resp?.interventions?.[0];
+    appendBubble({
+      role: "bot",
+      text: `Intervention scheduled: ${iv.type} on asset #${iv.asset_id} at tick ${iv.tick_index + 1}.`,
+    });
+  } catch (e) {
+    appendBubble({ role: "bot", text: `Could not inject intervention: ${e.message}` });
+  }
+}
+
+/**
+ * Local command "fork at <tick> <change>[ and <change>...]" on a finished run, where a change is
+ * "crews <n>", "harden <asset_id>", "cancel repair <asset_id>" or any intervention command above.
+ */
+function parseForkCommand(message) {
+  const m = String(message || "").trim().match(/^(?:what[\s-]?if\s+|fork\s+)(?:at\s+)?(?:tick\s+)?(\d+)\s*:?\s+(.+)$/i);
+  if (!m) return null;
+
+  const modifications = [];
+  for (const part of m[2].split(/\s*(?:;|,|\band\b)\s*/i).filter(Boolean)) {
+    let x = part.match(/^(?:set\s+)?crews?\s+(?:to\s+)?(\d+)$/i);
+    if (x) {
+      modifications.push({ type: "SET_CREWS", crew_count: Number(x[1]) });
+      continue;
+    }
+    x = part.match(/^harden\s+([A-Za-z0-9_-]+)$/i);
+    if (x) {
+      modifications.push({ type: "HARDEN", asset_id: x[1] });
+      continue;
+    }
+    x = part.match(/^cancel\s+repair\s+(?:of\s+)?([A-Za-z0-9_-]+)$/i);
+    if (x) {
+      modifications.push({ type: "CANCEL_REPAIR", asset_id: x[1] });
+      continue;
+    }
+    const iv = parseInterventionCommand(part);
+    if (!iv) return { error: `Unknown change: "${part}"` };
+    delete iv.at_tick;
+    modifications.push(iv);
+  }
+
+  return { fork_tick: Math.max(0, Number(m[1]) - 1), modifications };
+}
+
+async function forkCurrentSimRun(cmd) {
+  if (!SIM.sim_run_id) {
+    appendBubble({ role: "bot", text: "No simulation run is active." });
+    return;
+  }
+  if (cmd.error) {
+    appendBubble({ role: "bot", text: `${cmd.error}. Try "crews <n>", "harden <asset_id>" or "cancel repair <asset_id>".` });
+    return;
+  }
+
+  let resp;
+  try {
+    resp = await apiSimFork(SIM.sim_run_id, cmd.fork_tick, cmd.modifications, localStorage.getItem("ginom.facilitator") || "planner");
+  } catch (e) {
+    appendBubble({ role: "bot", text: `Could not fork the run: ${e.message}` });
+    return;
+  }
+
+  const changes = resp.modifications.map((iv) =>
+    iv.type === "SET_CREWS" ? `${iv.type} ${iv.crew_count}` : `${iv.type} #${iv.asset_id}`
+  );
+  appendBubble({
+    role: "bot",
+    text:
+      `What-if run ${resp.sim_run_id} forked from ${resp.parent_sim_run_id} at tick ${resp.fork_tick + 1}.\n` +
+      changes.map((c) => `- ${c}`).join("\n") +
+      `\nSwitch between the branches from the timeline.`,
+  });
+
+  await openSavedSimRun(resp.sim_run_id, { startTick: resp.fork_tick, quiet: true, autoplay: true });
+}
+
 async function tickLoop() {
   // Visual loop only; backend can keep computing.
   if (!SIM.playing) return;
@@ -254,11 +551,76 @@ if (cur >= total - 1) {
   setTimeout(() => tickLoop(), 650);
 }
 
+/**
+ * Pushes ticks into SIM.streamed as the backend computes them; polling stays as the fallback.
+ */
+function subscribeSimStream(sim_run_id) {
+  SIM.closeStream?.();
+  SIM.streamed.clear();
+  releaseTickWaiters();
+
+  SIM.closeStream = openSimStream(sim_run_id, {
+    onTick: (payload) => {
+      if (SIM.sim_run_id !== sim_run_id) return;
+      const t = Number(payload?.tick_index);
+      SIM.streamed.set(t, payload);
+      SIM.max_computed_tick = Math.max(Number(SIM.max_computed_tick), t);
+
+      const waiters = SIM.tickWaiters.get(t) || [];
+      SIM.tickWaiters.delete(t);
+      waiters.forEach((resolve) => resolve(payload));
+    },
+    onDone: (info) => {
+      if (SIM.sim_run_id !== sim_run_id) return;
+      SIM.closeStream = null;
+      releaseTickWaiters();
+
+      if (info?.status === "CANCELLED" || info?.status === "FAILED") {
+        SIM.playing = false;
+        setTimelinePlayIcon(false);
+        appendBubble({
+          role: "bot",
+          text: `Simulation ${info.status.toLowerCase()} after ${Number(info.computed_max_tick) + 1} of ${info.total_ticks} ticks.`,
+        });
+      }
+    },
+    onFallback: () => {
+      if (SIM.sim_run_id !== sim_run_id) return;
+      console.warn("sim stream unavailable, falling back to polling", { sim_run_id });
+      SIM.closeStream = null;
+      releaseTickWaiters();
+    },
+  });
+}
+
+// Wake everyone waiting on the stream with null -> they continue by polling
+function releaseTickWaiters() {
+  for (const waiters of SIM.tickWaiters.values()) waiters.forEach((resolve) => resolve(null));
+  SIM.tickWaiters.clear();
+}
+
+function waitForStreamedTick(tickIndex) {
+  if (SIM.streamed.has(tickIndex)) return Promise.resolve(SIM.streamed.get(tickIndex));
+  if (!SIM.closeStream) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const waiters = SIM.tickWaiters.get(tickIndex) || [];
+    waiters.push(resolve);
+    SIM.tickWaiters.set(tickIndex, waiters);
+  });
+}
+
 async function waitForTick(tickIndex) {
-  // Poll backend until tick is available or timeout
   const sim_run_id = SIM.sim_run_id;
   if (!sim_run_id) return null;
 
+  // Prefer the SSE stream (no timeout while it is connected)
+  const streamed = await waitForStreamedTick(tickIndex);
+  if (streamed) return streamed;
+  if (SIM.sim_run_id !== sim_run_id) return null;
+
+  // Fallback: poll backend until tick is available or timeout
+
   const start = Date.now();
   const timeoutMs = 12000;
 
@@ -270,6 +632,9 @@ async function waitForTick(tickIndex) {
       SIM.max_computed_tick = Number(resp.computed_max_tick);
     }
 
+    // Pending on a finished (e.g. cancelled) run: this tick will never come
+    if (resp?.pending && resp?.done) return null;
+
     // If server says pending: wait
     if (resp?.pending) {
       await new Promise((r) => setTimeout(r, 350));
@@ -355,8 +720,27 @@ function computeRunInsightsFromCache() {
   return { assetsByImpact, sectorsByWorst };
 }
 
-function buildTop8Recommendations() {
-  const { assetsByImpact, sectorsByWorst } = computeRunInsightsFromCache();
+/**
+ * Same shape as computeRunInsightsFromCache, from GET /api/sim/metrics.
+ */
+function insightsFromMetrics(metrics) {
+  const assetsByImpact = (metrics.top_assets || []).map((a) => ({
+    id: a.id,
+    score: a.asset_hours_lost_weighted,
+    sector: a.sector,
+  }));
+  const sectorsByWorst = Object.entries(metrics.sectors || {})
+    .map(([sec, m]) => ({ sec, min: Math.round(m.min_pct) }))
+    .sort((a, b) => a.min - b.min);
+  return { assetsByImpact, sectorsByWorst };
+}
+
+/**
+ * metrics (optional): engine metrics for the run; the cache approximation is the fallback.
+ */
+function buildTop8Recommendations(metrics = null) {
+  const { assetsByImpact, sectorsByWorst } = metrics ? insightsFromMetrics(metrics) : computeRunInsightsFromCache();
+  const basis = metrics ? "engine metrics" : "derived from run cache";
 
   const topAssets = assetsByImpact.slice(0, 3);
   const worstSectors = sectorsByWorst.slice(0, 3);
@@ -371,7 +755,7 @@ function buildTop8Recommendations() {
       `Prioritize the top critical assets that spent the most time impaired ` +
       `(e.g., ${topAssets.map((x) => `#${x.id}`).join(", ") || "key nodes"}). ` +
       `This accelerates sector recovery and stabilizes dependent services.`,
-    meta: `Basis: asset downtime × criticality (derived from run cache).`,
+    meta: `Basis: asset downtime × criticality (${basis}).`,
   });
 
   recs.push({
@@ -381,7 +765,7 @@ function buildTop8Recommendations() {
       `Focus surge actions on the most degraded sector(s) observed ` +
       `(e.g., ${worstSectors.map((s) => `${s.sec} (min ${s.min}%)`).join(", ") || "lowest-performing sectors"}). ` +
       `Use rapid inspections, temporary bypass, and prioritized dispatch to recover minimum operational thresholds.`,
-    meta: `Basis: sector minimum health during run.`,
+    meta: `Basis: sector minimum health during run (${basis}).`,
   });
 
   recs.push({
@@ -411,13 +795,17 @@ function buildTop8Recommendations() {
     meta: `Demand shaping reduces instability during recovery.`,
   });
 
+  const dispatchLabel = DISPATCH_POLICY_LABELS[SIM.dispatch_policy] || DISPATCH_POLICY_LABELS.FIFO;
   recs.push({
     title: "Coordinate repair crews by criticality and dependency footprint",
     impact: "Resilience impact: Maximizes benefit per crew-hour and shortens city-wide disruption.",
     body:
-      `Allocate repair crews to assets with the largest downstream impact first, not only nearest repairs. ` +
+      `This run dispatched crews by ${dispatchLabel}. ` +
+      (SIM.dispatch_policy === "FANOUT"
+        ? `Compare against a criticality-first run to see whether unlocking dependents beat restoring key sites. `
+        : `Re-run with dependency fan-out dispatch to test whether fixing upstream providers first shortens recovery. `) +
       `GINOM highlights where a single fix unlocks multiple dependent assets.`,
-    meta: `Crew optimization strategy.`,
+    meta: `Crew optimization strategy (${SIM.dispatch_policy || "FIFO"}).`,
   });
 
   recs.push({
@@ -441,16 +829,63 @@ function buildTop8Recommendations() {
   return recs.slice(0, 8);
 }
 
-function renderResultsModal() {
+/**
+ * Resilience metrics card (GET /api/sim/metrics) shown above the recommendations.
+ */
+function renderMetricsCard(metrics) {
+  const hours = (v) => (v === null ? "not recovered" : `${v} h`);
+  const row = (label, m) => `
+    <tr>
+      <td>${escapeHtml(label)}</td>
+      <td>${m.resilience_loss_pct_hours}</td>
+      <td>${m.min_pct}%${m.min_tick === null ? "" : ` (tick ${m.min_tick + 1})`}</td>
+      <td>${escapeHtml(hours(m.time_to_90_hours))}</td>
+      <td>${escapeHtml(hours(m.time_to_100_hours))}</td>
+      <td>${m.asset_hours_lost_weighted}</td>
+    </tr>
+  `;
+
+  return `
+    <div class="results-item">
+      <div class="results-item__head">
+        <div class="results-item__title">Resilience metrics</div>
+        <div class="results-item__impact">${metrics.complete ? "Full run" : `Partial: ${metrics.ticks_computed} ticks`}</div>
+      </div>
+      <div class="results-item__body">
+        <table class="results-metrics">
+          <thead>
+            <tr>
+              <th>Sector</th><th>Loss (%·h)</th><th>Minimum</th><th>To 90%</th><th>To 100%</th><th>Weighted asset-h lost</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${row("City-wide", metrics.overall)}
+            ${Object.entries(metrics.sectors)
+              .map(([sec, m]) => row(SECTORS[sec]?.label || sec, m))
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+      <div class="results-item__meta">Computed by the simulation engine; recovery times run from the first drop below the level.</div>
+    </div>
+  `;
+}
+
+async function renderResultsModal() {
   bindResultsOverlayOnce();
 
   const mount = document.getElementById("resultsMount");
   if (!mount) return;
 
-  const recs = buildTop8Recommendations();
+  const title = document.getElementById("resultsTitle");
+  if (title) title.textContent = "Simulation Analysis";
+
+  const metrics = SIM.sim_run_id ? await apiSimMetrics(SIM.sim_run_id).catch(() => null) : null;
+  const recs = buildTop8Recommendations(metrics);
 
   mount.innerHTML = `
     <div class="results-grid">
+      ${metrics ? renderMetricsCard(metrics) : ""}
       ${recs
         .map(
           (r, i) => `
@@ -469,6 +904,152 @@ function renderResultsModal() {
   `;
 }
 
+/**
+ * Inline SVG of per-tick sector deltas (B minus A) around a zero line.
+ */
+function deltaSparklineSvg(values, { width = 220, height = 36 } = {}) {
+  const n = Math.max(1, values.length - 1);
+  const maxAbs = Math.max(1, ...values.map((v) => Math.abs(v)));
+  const y = (v) => (height / 2 - (v / maxAbs) * (height / 2 - 2)).toFixed(1);
+  const points = values.map((v, t) => `${((t / n) * width).toFixed(1)},${y(v)}`).join(" ");
+  const net = values.reduce((s, v) => s + v, 0);
+  const color = net > 0 ? "#16A34A" : net < 0 ? "#DC2626" : "#64748b";
+
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+      <line x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}" stroke="rgba(15,23,42,0.2)" stroke-dasharray="3 3"/>
+      <polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}"/>
+    </svg>
+  `;
+}
+
+/**
+ * Results view for GET /api/sim/compare (run A vs run B; deltas are B minus A).
+ */
+function renderComparisonModal(cmp) {
+  bindResultsOverlayOnce();
+
+  const mount = document.getElementById("resultsMount");
+  if (!mount) return;
+
+  const title = document.getElementById("resultsTitle");
+  if (title) title.textContent = `Run Comparison • ${cmp.a.sim_run_id} vs ${cmp.b.sim_run_id}`;
+
+  const signed = (v, unit = "") => (v === null ? "n/a" : `${v > 0 ? "+" : ""}${v}${unit}`);
+  const hours = (v) => (v === null ? "not recovered" : `${v} h`);
+  const runLabel = (r) =>
+    `${r.sim_run_id} • ${r.repair_crews ? `${r.repair_crews} crews` : "auto repairs"} • ` +
+    `${DISPATCH_POLICY_LABELS[r.dispatch_policy] || r.dispatch_policy}` +
+    (r.fork_tick !== null ? ` • what-if from tick ${r.fork_tick + 1}` : "");
+
+  const d = cmp.downtime;
+  const sectorRows = Object.entries(cmp.sectors)
+    .map(([sec, x]) => {
+      const label = SECTORS[sec]?.label || sec;
+      return `
+        <div class="results-item">
+          <div class="results-item__head">
+            <div class="results-item__title">${escapeHtml(label)}</div>
+            <div class="results-item__impact">Time to recover: ${escapeHtml(signed(x.time_to_recover_delta_hours, " h"))}</div>
+          </div>
+          <div class="results-item__body">
+            ${deltaSparklineSvg(cmp.sector_deltas[sec] || [])}
+            <div>A: min ${x.a.min}%, avg ${x.a.avg}%, recovered in ${escapeHtml(hours(x.a.time_to_recover_hours))}</div>
+            <div>B: min ${x.b.min}%, avg ${x.b.avg}%, recovered in ${escapeHtml(hours(x.b.time_to_recover_hours))}</div>
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  const assetRows = cmp.assets_differed
+    .slice(0, 12)
+    .map(
+      (x) =>
+        `<div>#${escapeHtml(x.id)} ${escapeHtml(x.name || "")} (${escapeHtml(x.sector)}): ` +
+        `${x.a.failed_ticks + x.a.degraded_ticks} → ${x.b.failed_ticks + x.b.degraded_ticks} impaired ticks, ` +
+        `ends ${escapeHtml(x.a.final_status)} → ${escapeHtml(x.b.final_status)}</div>`
+    )
+    .join("");
+
+  mount.innerHTML = `
+    <div class="results-grid">
+      <div class="results-item">
+        <div class="results-item__head">
+          <div class="results-item__title">Runs</div>
+        </div>
+        <div class="results-item__body">
+          <div>A: ${escapeHtml(runLabel(cmp.a))}</div>
+          <div>B: ${escapeHtml(runLabel(cmp.b))}</div>
+        </div>
+        <div class="results-item__meta">Deltas are B minus A. Recovery = back at ${cmp.recovery_threshold_pct}% for good.</div>
+      </div>
+      <div class="results-item">
+        <div class="results-item__head">
+          <div class="results-item__title">Asset downtime</div>
+          <div class="results-item__impact">${escapeHtml(signed(d.total_hours.delta, " asset-hours"))}</div>
+        </div>
+        <div class="results-item__body">
+          <div>Failed: ${d.failed_hours.a} h → ${d.failed_hours.b} h (${escapeHtml(signed(d.failed_hours.delta))})</div>
+          <div>Degraded: ${d.degraded_hours.a} h → ${d.degraded_hours.b} h (${escapeHtml(signed(d.degraded_hours.delta))})</div>
+          <div>Criticality-weighted: ${d.weighted.a} → ${d.weighted.b} (${escapeHtml(signed(d.weighted.delta))})</div>
+        </div>
+      </div>
+      ${sectorRows}
+      <div class="results-item">
+        <div class="results-item__head">
+          <div class="results-item__title">Assets with a different outcome</div>
+          <div class="results-item__impact">${cmp.assets_differed.length}</div>
+        </div>
+        <div class="results-item__body">${assetRows || "None. Both runs played out identically per asset."}</div>
+        ${cmp.assets_differed.length > 12 ? `<div class="results-item__meta">Showing the 12 largest differences.</div>` : ""}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Local command "compare <a> <b>" | "compare <b>" (current run vs b) | "compare parent" (parent vs current fork).
+ */
+async function compareSimRuns(args) {
+  let [a, b] = args;
+  if (/^parent$/i.test(a || "") && !b) {
+    if (!SIM.sim_run_id) {
+      appendBubble({ role: "bot", text: "No simulation run is active." });
+      return;
+    }
+    const state = await apiSimState(SIM.sim_run_id).catch(() => null);
+    if (!state?.parent_sim_run_id) {
+      appendBubble({ role: "bot", text: "The current run is not a what-if fork." });
+      return;
+    }
+    [a, b] = [state.parent_sim_run_id, SIM.sim_run_id];
+  } else if (!b) {
+    if (!SIM.sim_run_id) {
+      appendBubble({ role: "bot", text: "No simulation run is active. Use: compare <run A> <run B>" });
+      return;
+    }
+    [a, b] = [SIM.sim_run_id, a];
+  }
+
+  let cmp;
+  try {
+    cmp = await apiSimCompare(a, b);
+  } catch (e) {
+    appendBubble({ role: "bot", text: `Could not compare runs: ${e.message}` });
+    return;
+  }
+
+  appendBubble({
+    role: "bot",
+    text:
+      `Compared ${cmp.a.sim_run_id} (A) with ${cmp.b.sim_run_id} (B).\n` +
+      `- Asset downtime: ${cmp.downtime.total_hours.a} h → ${cmp.downtime.total_hours.b} h\n` +
+      `- Assets with a different outcome: ${cmp.assets_differed.length}`,
+  });
+  renderComparisonModal(cmp);
+  openResultsOverlay();
+}
 
 function renderTick(payload, { isFromCache = false } = {}) {
   // payload expected:
@@ -502,6 +1083,7 @@ function renderTick(payload, { isFromCache = false } = {}) {
   // Update UI
   updateTimelineTitle();
   updateSectorHealthOverlay(payload?.sectors || {});
+  renderHazardFronts(payload?.hazard_fronts || []);
   applyChangedAssetsPulse(payload?.assets_changed || payload?.changed_assets || []);
     // ------------------------------------------------------------
   // Recovery flash (green) for assets that became RECOVERED this tick
@@ -527,6 +1109,20 @@ function renderTick(payload, { isFromCache = false } = {}) {
     const t = Number(SIM.current_tick || 0);
     const total = Number(SIM.total_ticks || 0);
 
+    for (const iv of payload?.interventions || []) {
+      const what =
+        iv.type === "MOBILE_GENERATOR"
+          ? `mobile generator deployed for ${iv.duration_ticks} ticks`
+          : iv.type === "RESTORE"
+            ? `restored to ${iv.performance_pct}%`
+            : `damaged to ${iv.performance_pct}%`;
+      appendBubble({
+        role: "bot",
+        variant: "progress",
+        text: `Tick ${t + 1}/${total}: Intervention by ${iv.injected_by} — asset #${iv.asset_id} ${what}.`,
+      });
+    }
+
     if (changes.length) {
       // narrate up to 3 changes per tick (avoid spam)
       const top = changes.slice(0, 3);
@@ -537,7 +1133,23 @@ function renderTick(payload, { isFromCache = false } = {}) {
 
         if (!id || !st) continue;
 
-        if (st === "FAILED") {
+        if (c?.cause === "dependency" && (st === "FAILED" || st === "DEGRADED")) {
+          appendBubble({
+            role: "bot",
+            variant: "progress",
+            text:
+              `Tick ${t + 1}/${total}: Asset #${id} lost service from an upstream dependency (${st}). ` +
+              `It will follow its provider's recovery.`,
+          });
+        } else if (c?.cause === "workforce") {
+          appendBubble({
+            role: "bot",
+            variant: "progress",
+            text:
+              `Tick ${t + 1}/${total}: Asset #${id} is short-staffed (${st}, workforce at ${payload?.workforce_pct ?? "?"}%). ` +
+              `It recovers as staff return.`,
+          });
+        } else if (st === "FAILED") {
           const etaTicks = Math.max(2, Math.floor(2 + Math.random() * 10));
           appendBubble({
             role: "bot",
@@ -568,15 +1180,31 @@ function renderTick(payload, { isFromCache = false } = {}) {
     } else {
       // Add occasional "quiet tick" commentary so the run feels alive
       if (t % 6 === 0) {
+        const crews = payload?.crews;
         appendBubble({
           role: "bot",
           variant: "progress",
-          text:
-            `Tick ${t + 1}/${total}: Monitoring cascading impacts. ` +
-            `No new asset state changes detected. Reallocating crews and verifying dependencies.`,
+          text: crews
+            ? `Tick ${t + 1}/${total}: Monitoring cascading impacts. ` +
+              `Crews busy ${crews.busy}/${crews.available}, ${crews.queued} assets waiting for repair.` +
+              (payload?.workforce_pct != null ? ` Workforce at ${payload.workforce_pct}%.` : "")
+            : `Tick ${t + 1}/${total}: Monitoring cascading impacts. ` +
+              `No new asset state changes detected. Reallocating crews and verifying dependencies.`,
         });
       }
     }
+
+    // Crew dispatches (crew-driven recovery model only)
+    const started = Array.isArray(payload?.repairs_started) ? payload.repairs_started : [];
+    for (const r of started.slice(0, 2)) {
+      appendBubble({
+        role: "bot",
+        variant: "progress",
+        text:
+          `Tick ${t + 1}/${total}: ${String(r.crew_id || "Crew").replace("_", " ")} dispatched to asset #${r.asset_id}. ` +
+          `Repair completes at tick ${Number(r.done_tick) + 1}.`,
+      });
+    }
   } catch (_) {}
 
 
@@ -690,6 +1318,56 @@ function ensureAssetPulseLayer(map) {
   }
 }
 
+// ============================================================
+// Spreading hazard fronts (wildfire / flood footprint as of the tick)
+// ============================================================
+
+function renderHazardFronts(fronts = []) {
+  if (!MAP) return;
+
+  const data = {
+    type: "FeatureCollection",
+    features: fronts.map((f) => ({
+      type: "Feature",
+      properties: { model: f.model, anchor_type: f.anchor_type, hours: f.hours },
+      geometry: f.geometry,
+    })),
+  };
+
+  try {
+    const src = MAP.getSource("ginom-hazard-fronts");
+    if (src) {
+      src.setData(data);
+      return;
+    }
+    if (!fronts.length) return;
+
+    MAP.addSource("ginom-hazard-fronts", { type: "geojson", data });
+    const color = ["match", ["get", "model"], "FLOOD_SPREAD", "#3B82F6", "#F97316"];
+    const beforeId = MAP.getLayer("ginom-assets-circle") ? "ginom-assets-circle" : undefined;
+    MAP.addLayer(
+      {
+        id: "ginom-hazard-fronts-fill",
+        type: "fill",
+        source: "ginom-hazard-fronts",
+        paint: { "fill-color": color, "fill-opacity": 0.18 },
+      },
+      beforeId
+    );
+    MAP.addLayer(
+      {
+        id: "ginom-hazard-fronts-line",
+        type: "line",
+        source: "ginom-hazard-fronts",
+        paint: { "line-color": color, "line-width": 2, "line-dasharray": [2, 1] },
+      },
+      beforeId
+    );
+  } catch (e) {
+    console.warn("renderHazardFronts failed:", e);
+  }
+}
+
 // ============================================================
 // One-shot green recovery flash (when asset becomes RECOVERED)
 // ============================================================
@@ -883,7 +1561,9 @@ function updateActiveScenarioCard(simcfg) {
   if (!cityEl || !timeEl || !typeEl) return;
 
   const city = simcfg?.city ? String(simcfg.city) : "—";
-  const scenario = prettyScenarioName(simcfg?.scenario);
+  const scenario = simcfg?.stages?.length
+    ? simcfg.stages.map((st) => prettyScenarioName(st.scenario)).join(" → ")
+    : prettyScenarioName(simcfg?.scenario);
 
   cityEl.textContent = city;
   timeEl.textContent = `${new Date().toLocaleTimeString()} Local Time`;
@@ -891,22 +1571,98 @@ function updateActiveScenarioCard(simcfg) {
 }
 
 
+const DISPATCH_POLICY_LABELS = {
+  FIFO: "first damaged, first repaired",
+  CRITICALITY: "highest criticality first",
+  FANOUT: "largest dependency fan-out first",
+  NEAREST: "nearest to depot first",
+};
+
 function formatSimConfigSummary(simcfg) {
   const city = simcfg.city || "—";
   const scenario = simcfg.scenario || "—";
   const duration = Number(simcfg.duration_hours || 0);
   const tick = Number(simcfg.tick_minutes || 0);
   const crews = Number(simcfg.repair_crews ?? 0);
+  const spreadRate = simcfg.hazard_params?.fire_spread_kmh ?? simcfg.hazard_params?.flood_spread_kmh;
 
   return [
     `**Simulation settings**`,
     `- **Area (city):** ${city}`,
     `- **Scenario:** ${scenario}`,
+    ...(simcfg.stages || [])
+      .slice(1)
+      .map((st) => `- **Then:** ${prettyScenarioName(st.scenario)} after ${st.start_hours} h`),
     `- **Duration:** ${duration} hours`,
     `- **Tick:** ${tick} minutes`,
     `- **Repair crews:** ${crews}`,
+    `- **Crew dispatch:** ${DISPATCH_POLICY_LABELS[simcfg.dispatch_policy] || DISPATCH_POLICY_LABELS.FIFO}`,
+    `- **Random seed:** ${simcfg.random_seed ?? "auto"}`,
+    ...(simcfg.hazard_params?.magnitude ? [`- **Magnitude:** ${simcfg.hazard_params.magnitude}`] : []),
+    ...(simcfg.hazard_params?.peak_depth_m ? [`- **Peak flood depth:** ${simcfg.hazard_params.peak_depth_m} m`] : []),
+    ...(spreadRate ? [`- **Spread rate:** ${spreadRate} km/h`] : []),
+    ...(simcfg.hazard_params?.wind_bearing_deg != null ? [`- **Wind towards:** ${simcfg.hazard_params.wind_bearing_deg}°`] : []),
+    ...(simcfg.hazard_params?.infection_prob != null
+      ? [
+          `- **Lateral movement:** ${simcfg.hazard_params.infection_prob} per link/tick, contained after ${simcfg.hazard_params.detection_delay_hours} h` +
+            (simcfg.hazard_params.segmented ? " (segmented comms)" : ""),
+        ]
+      : []),
+    ...(simcfg.hazard_params?.absenteeism_peak_pct != null
+      ? [
+          `- **Absenteeism:** peaks at ${simcfg.hazard_params.absenteeism_peak_pct}% ` +
+            `around ${simcfg.hazard_params.absenteeism_peak_at_pct ?? 40}% of the run`,
+        ]
+      : []),
   ].join("\n");
 }
+
+/**
+ * Sim modal: show only the hazard inputs (magnitude, flood depth) the selected scenario
+ * and follow-up hazard use.
+ */
+function syncHazardFields() {
+  const selected = [
+    document.getElementById("simScenario")?.value || "earthquake",
+    document.getElementById("simFollowUp")?.value || "",
+  ];
+  document.querySelectorAll("#simOverlay [data-hazard-for]").forEach((el) => {
+    const scenarios = String(el.dataset.hazardFor || "").split(/\s+/);
+    el.classList.toggle("is-hidden", !scenarios.some((s) => selected.includes(s)));
+  });
+  document.getElementById("simFollowUpAfterField")?.classList.toggle("is-hidden", !selected[1]);
+}
+
+function hazardParamsFromModal(scenario) {
+  const value = (id) => {
+    const raw = String(document.getElementById(id)?.value || "").trim();
+    return raw === "" ? undefined : Number(raw);
+  };
+  if (scenario === "earthquake") return { magnitude: value("simMagnitude") };
+  if (scenario === "tsunami") return { peak_depth_m: value("simFloodDepth") };
+
+  // Spreading hazards: a wind bearing biases the spread downwind
+  const wind = value("simWindBearing");
+  const windParams = wind === undefined ? {} : { wind_bearing_deg: wind, wind_bias: 0.6 };
+  if (scenario === "severe_storm") {
+    return { peak_depth_m: value("simFloodDepth"), flood_spread_kmh: value("simSpreadRate"), ...windParams };
+  }
+  if (scenario === "wildfire") return { fire_spread_kmh: value("simSpreadRate"), ...windParams };
+  if (scenario === "cyber_attack") {
+    return {
+      infection_prob: value("simInfectionProb"),
+      detection_delay_hours: value("simDetectionDelay"),
+      segmented: value("simSegmented"),
+    };
+  }
+  if (scenario === "pandemic") {
+    return {
+      absenteeism_peak_pct: value("simAbsenteeism"),
+      absenteeism_peak_at_pct: value("simAbsenteeismPeakAt"),
+    };
+  }
+  return {};
+}
 function renderSimRunConfirmation(simcfg, onConfirm, onCancel) {
   // Show summary
   appendBubble({ role: "bot", text: formatSimConfigSummary(simcfg) });
@@ -914,10 +1670,10 @@ function renderSimRunConfirmation(simcfg, onConfirm, onCancel) {
   // Ask for confirmation with buttons
   const elWrap = appendBubble({
     role: "bot",
-    text: "Please confirm: prepare this scenario now (no execution yet).",
+    text: "Please confirm: preview and prepare this scenario (no execution yet).",
     extraHTML: `
       <div class="quick-actions" style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap;">
-        <button class="quick-btn" data-sim-confirm="1">Prepare scenario</button>
+        <button class="quick-btn" data-sim-confirm="1">Preview scenario</button>
         <button class="quick-btn" data-sim-cancel="1">Cancel</button>
       </div>
     `,
@@ -934,29 +1690,106 @@ function renderSimRunConfirmation(simcfg, onConfirm, onCancel) {
 // Scenario -> Anchor selection + Prepare (single flow)
 // =========================
 
+// Offline fallback only; the backend derives the list from the template rules
 function requiredAnchorForScenario(scenarioKey) {
   const s = String(scenarioKey || "").toLowerCase();
   if (s === "earthquake") return "EPICENTER";
-  if (s === "tsunami") return "IMPACT_CENTER";
-  if (s === "wildfire") return "FIRE_ORIGIN";
+  if (s === "tsunami") return "FLOOD_POCKET";
+  if (s === "wildfire") return "FIRE_FRONT";
   if (s === "storm" || s === "severe_storm") return "FLOOD_POCKET";
   if (s === "flood") return "FLOOD_POCKET";
   return null; // cyber_attack, pandemic, etc.
 }
 
-let __scenarioAnchorMarker = null;
+async function requiredAnchorsForScenario(scenarioKey) {
+  try {
+    const resp = await apiScenarioAnchors(scenarioKey);
+    return (resp.anchors || []).filter((a) => a.required);
+  } catch (e) {
+    const type = requiredAnchorForScenario(scenarioKey);
+    return type ? [{ type, required: true }] : [];
+  }
+}
+
+let __scenarioAnchorMarkers = [];
+let __scenarioAnchorShapes = []; // drawn anchors (GeoJSON features)
+let __scenarioAnchorDraft = null; // { kind: "LineString" | "Polygon", coords } while drawing
 
-function showScenarioAnchorOnMap(anchorType, lat, lng) {
-  if (!MAP || !window.mapboxgl) return;
+const ANCHOR_SHAPES_SOURCE = "ginom-anchor-shapes";
+
+function clearScenarioAnchorMarkers() {
+  __scenarioAnchorMarkers.forEach((m) => {
+    try { m.remove(); } catch (_) {}
+  });
+  __scenarioAnchorMarkers = [];
+  __scenarioAnchorShapes = [];
+  __scenarioAnchorDraft = null;
+  renderScenarioAnchorShapes();
+}
+
+function renderScenarioAnchorShapes() {
+  if (!MAP) return;
+
+  const features = [...__scenarioAnchorShapes];
+  const draft = __scenarioAnchorDraft;
+  if (draft?.coords.length) {
+    const closed = draft.kind === "Polygon" && draft.coords.length >= 3;
+    features.push({
+      type: "Feature",
+      properties: { draft: true },
+      geometry: closed
+        ? { type: "Polygon", coordinates: [[...draft.coords, draft.coords[0]]] }
+        : { type: "LineString", coordinates: draft.coords },
+    });
+    draft.coords.forEach((c) =>
+      features.push({ type: "Feature", properties: { draft: true }, geometry: { type: "Point", coordinates: c } })
+    );
+  }
+  const data = { type: "FeatureCollection", features };
 
   try {
-    // Remove previous marker only when selecting a new anchor
-    if (__scenarioAnchorMarker) {
-      __scenarioAnchorMarker.remove();
-      __scenarioAnchorMarker = null;
+    const src = MAP.getSource(ANCHOR_SHAPES_SOURCE);
+    if (src) {
+      src.setData(data);
+      return;
     }
+    MAP.addSource(ANCHOR_SHAPES_SOURCE, { type: "geojson", data });
+    MAP.addLayer({
+      id: "ginom-anchor-shapes-fill",
+      type: "fill",
+      source: ANCHOR_SHAPES_SOURCE,
+      filter: ["==", ["geometry-type"], "Polygon"],
+      paint: { "fill-color": "#EF4444", "fill-opacity": 0.18 },
+    });
+    MAP.addLayer({
+      id: "ginom-anchor-shapes-line",
+      type: "line",
+      source: ANCHOR_SHAPES_SOURCE,
+      filter: ["!=", ["geometry-type"], "Point"],
+      paint: { "line-color": "#EF4444", "line-width": 2.5 },
+    });
+    MAP.addLayer({
+      id: "ginom-anchor-shapes-vertex",
+      type: "circle",
+      source: ANCHOR_SHAPES_SOURCE,
+      filter: ["==", ["geometry-type"], "Point"],
+      paint: { "circle-radius": 4, "circle-color": "#FFFFFF", "circle-stroke-color": "#EF4444", "circle-stroke-width": 2 },
+    });
+  } catch (e) {
+    console.warn("renderScenarioAnchorShapes failed:", e);
+  }
+}
+
+function showScenarioAnchorShape(anchorType, geometry) {
+  __scenarioAnchorShapes.push({ type: "Feature", properties: { anchor_type: anchorType }, geometry });
+  renderScenarioAnchorShapes();
+}
+
+function showScenarioAnchorOnMap(anchorType, lat, lng) {
+  if (!MAP || !window.mapboxgl) return;
 
-    __scenarioAnchorMarker = new mapboxgl.Marker({ color: "#EF4444" })
+  try {
+    const marker = new mapboxgl.Marker({ color: "#EF4444" })
       .setLngLat([lng, lat])
       .setPopup(
         new mapboxgl.Popup({ offset: 16 }).setHTML(
@@ -968,7 +1801,8 @@ function showScenarioAnchorOnMap(anchorType, lat, lng) {
       )
       .addTo(MAP);
 
-    __scenarioAnchorMarker.getPopup().addTo(MAP);
+    marker.getPopup().addTo(MAP);
+    __scenarioAnchorMarkers.push(marker);
 
     // Ensure it stays visible
     try {
@@ -980,57 +1814,300 @@ function showScenarioAnchorOnMap(anchorType, lat, lng) {
   }
 }
 
-async function beginAnchorPickAndPrepare(simcfg) {
-  const anchorType = requiredAnchorForScenario(simcfg?.scenario);
+/**
+ * Resolves with a clicked point ({ lat, lng }) or a drawn shape ({ geometry }: GeoJSON LineString / Polygon).
+ * Anchors used by GEO_AREA rules (needs_geometry) must be drawn; others default to a point.
+ */
+function pickScenarioAnchor(anchor, promptText) {
+  return new Promise((resolve) => {
+    const MIN_VERTICES = { LineString: 2, Polygon: 3 };
+    let mode = anchor.needs_geometry ? "LineString" : "Point";
 
-  // No anchor required -> prepare immediately
-  if (!anchorType) {
-    await prepareScenarioNow(simcfg, []);
-    return;
+    const bubble = appendBubble({
+      role: "bot",
+      text: promptText,
+      extraHTML: `
+        <div class="quick-actions" style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap;">
+          ${anchor.needs_geometry ? "" : '<button class="quick-btn" data-draw-mode="Point">Point</button>'}
+          <button class="quick-btn" data-draw-mode="LineString">Line</button>
+          <button class="quick-btn" data-draw-mode="Polygon">Polygon</button>
+          <button class="quick-btn" data-draw-undo="1">Undo</button>
+          <button class="quick-btn" data-draw-finish="1">Finish</button>
+        </div>
+      `,
+    });
+
+    const modeBtns = [...(bubble?.querySelectorAll?.("[data-draw-mode]") || [])];
+    const undoBtn = bubble?.querySelector?.('[data-draw-undo="1"]');
+    const finishBtn = bubble?.querySelector?.('[data-draw-finish="1"]');
+
+    const sync = () => {
+      const coords = __scenarioAnchorDraft?.coords || [];
+      modeBtns.forEach((b) => b.classList.toggle("is-active", b.dataset.drawMode === mode));
+      if (undoBtn) undoBtn.disabled = mode === "Point" || !coords.length;
+      if (finishBtn) finishBtn.disabled = mode === "Point" || coords.length < MIN_VERTICES[mode];
+      renderScenarioAnchorShapes();
+    };
+
+    const setMode = (next) => {
+      mode = next;
+      __scenarioAnchorDraft = mode === "Point" ? null : { kind: mode, coords: __scenarioAnchorDraft?.coords || [] };
+      sync();
+    };
+
+    const done = (result) => {
+      MAP.off("click", onClick);
+      MAP.getCanvas().style.cursor = "";
+      [...modeBtns, undoBtn, finishBtn].forEach((b) => b && (b.disabled = true));
+      __scenarioAnchorDraft = null;
+      renderScenarioAnchorShapes();
+      resolve(result);
+    };
+
+    function onClick(e) {
+      if (mode === "Point") {
+        done({ lat: e.lngLat.lat, lng: e.lngLat.lng });
+        return;
+      }
+      __scenarioAnchorDraft.coords.push([e.lngLat.lng, e.lngLat.lat]);
+      sync();
+    }
+
+    modeBtns.forEach((b) => b.addEventListener("click", () => setMode(b.dataset.drawMode)));
+    undoBtn?.addEventListener("click", () => {
+      __scenarioAnchorDraft?.coords.pop();
+      sync();
+    });
+    finishBtn?.addEventListener("click", () => {
+      const coords = __scenarioAnchorDraft.coords.slice();
+      done({
+        geometry:
+          mode === "Polygon"
+            ? { type: "Polygon", coordinates: [[...coords, coords[0]]] }
+            : { type: "LineString", coordinates: coords },
+      });
+    });
+
+    MAP.getCanvas().style.cursor = "crosshair";
+    MAP.on("click", onClick);
+    setMode(mode);
+  });
+}
+
+function askAddAnotherAnchor(anchorType) {
+  return new Promise((resolve) => {
+    const bubble = appendBubble({
+      role: "bot",
+      text: `Add another ${anchorType}?`,
+      extraHTML: `
+        <div class="quick-actions" style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap;">
+          <button class="quick-btn" data-anchor-more="1">Add another</button>
+          <button class="quick-btn" data-anchor-done="1">Continue</button>
+        </div>
+      `,
+    });
+
+    const buttons = bubble?.querySelectorAll?.("[data-anchor-more], [data-anchor-done]") || [];
+    const answer = (more) => {
+      buttons.forEach((b) => (b.disabled = true));
+      resolve(more);
+    };
+    bubble?.querySelector?.('[data-anchor-more="1"]')?.addEventListener("click", () => answer(true));
+    bubble?.querySelector?.('[data-anchor-done="1"]')?.addEventListener("click", () => answer(false));
+  });
+}
+
+/**
+ * Asks for each required anchor in turn (several per type allowed). label names the hazard
+ * the anchors are for (compound scenarios).
+ */
+async function pickRequiredAnchors(required, label = "") {
+  const anchors = [];
+
+  for (const [i, anchor] of required.entries()) {
+    let more = true;
+    while (more) {
+      const count = anchors.filter((a) => a.type === anchor.type).length;
+      const picked = await pickScenarioAnchor(
+        anchor,
+        (label ? `${label}: ` : "") +
+          (anchor.needs_geometry
+            ? `Please draw the anchor ${anchor.type} on the map (click the vertices, then Finish)`
+            : `Please click on the map to set the anchor: ${anchor.type}, or draw a line / polygon`) +
+          (count ? ` #${count + 1}` : "") +
+          (required.length > 1 ? ` (${i + 1}/${required.length})` : "") +
+          (anchor.max_radius_km ? `. Rules reach up to ${anchor.max_radius_km} km from it.` : ".")
+      );
+
+      if (picked.geometry) {
+        showScenarioAnchorShape(anchor.type, picked.geometry);
+        anchors.push({ type: anchor.type, geometry: picked.geometry });
+      } else {
+        showScenarioAnchorOnMap(anchor.type, picked.lat, picked.lng);
+        anchors.push({ type: anchor.type, lat: picked.lat, lng: picked.lng });
+      }
+
+      more = await askAddAnotherAnchor(anchor.type);
+    }
   }
 
+  return anchors;
+}
+
+/**
+ * Asks for the required anchors of every hazard stage: one list per stage (empty when the
+ * stage needs none), or null when the map is not ready.
+ */
+async function pickStageAnchors(simcfg) {
+  const stages = simcfg?.stages?.length ? simcfg.stages : [{ scenario: simcfg?.scenario }];
+  const requiredByStage = [];
+  for (const st of stages) requiredByStage.push(await requiredAnchorsForScenario(st.scenario));
+
+  if (requiredByStage.every((required) => !required.length)) return stages.map(() => []);
+
   if (!MAP) {
     appendBubble({ role: "bot", text: "Map is not ready. Cannot pick an anchor point." });
-    return;
+    return null;
+  }
+
+  clearScenarioAnchorMarkers();
+  const stageAnchors = [];
+  for (const [i, required] of requiredByStage.entries()) {
+    const label = stages.length > 1 ? prettyScenarioName(stages[i].scenario) : "";
+    stageAnchors.push(await pickRequiredAnchors(required, label));
   }
 
   appendBubble({
     role: "bot",
-    text: `Please click on the map to set the anchor: ${anchorType}.`,
+    text:
+      `Anchors set:\n` +
+      stageAnchors
+        .flat()
+        .map((a) =>
+          a.geometry?.type === "Polygon"
+            ? `- ${a.type}: polygon (${a.geometry.coordinates[0].length - 1} vertices)`
+            : a.geometry
+              ? `- ${a.type}: line (${a.geometry.coordinates.length} vertices)`
+              : `- ${a.type} at (${a.lat.toFixed(5)}, ${a.lng.toFixed(5)})`
+        )
+        .join("\n") +
+      `\nPreviewing scenario...`,
   });
 
-  MAP.getCanvas().style.cursor = "crosshair";
+  return stageAnchors;
+}
+
+/**
+ * Collects the required anchors of every hazard stage, then shows the dry-run preview
+ * (the scenario is prepared from there).
+ */
+async function beginAnchorPickAndPrepare(simcfg) {
+  const stageAnchors = await pickStageAnchors(simcfg);
+  if (stageAnchors) await previewScenario(simcfg, stageAnchors);
+}
+
+/**
+ * Prepare request body. simcfg.radius_scale_pct (set in the preview) resizes every stage's footprint.
+ */
+function scenarioPayload(simcfg, stageAnchors) {
+  const payload = {
+    city: simcfg.city,
+    duration_hours: simcfg.duration_hours,
+    tick_minutes: simcfg.tick_minutes,
+    repair_crews: simcfg.repair_crews,
+    dispatch_policy: simcfg.dispatch_policy || "FIFO",
+    random_seed: simcfg.random_seed ?? null,
+  };
+  const radius = simcfg.radius_scale_pct ? { radius_scale_pct: simcfg.radius_scale_pct } : {};
+  if (simcfg.stages?.length) {
+    payload.stages = simcfg.stages.map((st, i) => ({
+      ...st,
+      hazard_params: { ...st.hazard_params, ...radius },
+      anchors: stageAnchors[i] || [],
+    }));
+  } else {
+    Object.assign(payload, {
+      scenario: simcfg.scenario,
+      hazard_params: { ...simcfg.hazard_params, ...radius },
+      anchors: stageAnchors[0] || [],
+    });
+  }
+  return payload;
+}
 
-  MAP.once("click", async (e) => {
-    MAP.getCanvas().style.cursor = "";
+// =========================
+// Prepare preview (dry run in the sim modal)
+// =========================
+let __simPreview = null; // { simcfg, stageAnchors } while the sim modal shows a preview
 
-    const lng = e.lngLat.lng;
-    const lat = e.lngLat.lat;
+/**
+ * Without a random seed every request would pick differently: the first preview fixes one,
+ * so the scenario prepared afterwards is exactly what was previewed.
+ */
+async function previewScenario(simcfg, stageAnchors) {
+  try {
+    const preview = await apiPreviewScenario(scenarioPayload(simcfg, stageAnchors));
+    simcfg.random_seed ??= preview.random_seed;
+    __simPreview = { simcfg, stageAnchors };
+    renderSimPreview(preview);
+    openSimPreviewModal(simcfg);
+  } catch (e) {
+    console.error("previewScenario failed:", e);
+    appendBubble({ role: "bot", text: `Failed to preview scenario.\n${String(e?.message || e)}` });
+  }
+}
 
-    // Show marker and KEEP it (no cleanup)
-    showScenarioAnchorOnMap(anchorType, lat, lng);
+function renderSimPreview(p) {
+  const summary = document.getElementById("simPreviewSummary");
+  const warnings = document.getElementById("simPreviewWarnings");
+  const rows = document.getElementById("simPreviewRules");
+  const stageLabel = (stage) => (p.stages && stage != null ? `${prettyScenarioName(p.stages[stage].scenario)} · ` : "");
+
+  if (summary) {
+    summary.textContent = [
+      `${p.events_planned} events on ${p.assets_used} assets from ${p.total_rules} rules (${p.total_ticks} ticks)`,
+      ...(p.stages || []).map(
+        (st) => `${prettyScenarioName(st.scenario)}: ${st.events_created} events from tick ${st.start_tick + 1}`
+      ),
+      ...(p.lateral_movement || []).map(
+        (m) => `Lateral movement: ${m.compromised} assets compromised from ${m.entry_assets.length} entry points`
+      ),
+      p.warnings.length ? `${p.warnings.length} rules produce no events:` : "Every rule produces events.",
+    ].join("\n");
+  }
 
-    appendBubble({
-      role: "bot",
-      text: `Anchor set: ${anchorType} at (${lat.toFixed(5)}, ${lng.toFixed(5)}). Preparing scenario...`,
-    });
+  if (warnings) {
+    warnings.innerHTML = p.warnings
+      .map((w) => `<li>${escapeHtml(`${stageLabel(w.stage)}${w.rule_id}: ${w.message}`)}</li>`)
+      .join("");
+  }
 
-    await prepareScenarioNow(simcfg, [{ type: anchorType, lat, lng }]);
-  });
+  if (rows) {
+    rows.innerHTML = p.rules
+      .map((r) => {
+        const ticks = r.assets.map((a) => a.tick_index);
+        const range = ticks.length ? `${Math.min(...ticks) + 1}–${Math.max(...ticks) + 1}` : "—";
+        return `
+          <tr class="${r.events ? "" : "is-empty"}">
+            <td>${escapeHtml(`${stageLabel(r.stage)}${r.rule_id}`)}</td>
+            <td>${escapeHtml(`${r.sector}/${r.subtype}`)}</td>
+            <td>${escapeHtml(r.selection_scope)}</td>
+            <td>${r.candidates}</td>
+            <td>${r.selected}</td>
+            <td>${r.events}</td>
+            <td>${range}</td>
+          </tr>`;
+      })
+      .join("");
+  }
 }
 
-async function prepareScenarioNow(simcfg, anchors) {
+/**
+ * stageAnchors: the picked anchors of each hazard stage (one list for a plain scenario).
+ */
+async function prepareScenarioNow(simcfg, stageAnchors) {
   try {
-    const payload = {
-      city: simcfg.city,
-      scenario: simcfg.scenario,
-      duration_hours: simcfg.duration_hours,
-      tick_minutes: simcfg.tick_minutes,
-      repair_crews: simcfg.repair_crews,
-      anchors,
-    };
-
-    const resp = await apiPrepareScenario(payload);
+    const resp = await apiPrepareScenario(scenarioPayload(simcfg, stageAnchors));
 
     localStorage.setItem("ginom.preparedScenario", JSON.stringify(resp));
     localStorage.setItem("ginom.preparedScenarioId", String(resp.scenario_instance_id || ""));
@@ -1039,10 +2116,22 @@ async function prepareScenarioNow(simcfg, anchors) {
       role: "bot",
       text:
         `Scenario is prepared and ready to run.\n` +
-        `- Template: ${resp.template_id}\n` +
+        (resp.stages
+          ? resp.stages
+              .map((st) => `- ${prettyScenarioName(st.scenario)} (${st.template_id} v${st.template_version}): ${st.events_created} events from tick ${st.start_tick + 1}\n`)
+              .join("")
+          : `- Template: ${resp.template_id} v${resp.template_version}\n`) +
         `- Events created: ${resp.events_created}\n` +
         `- Assets used: ${resp.assets_used}\n` +
+        `- Recovery: ${resp.recovery_model === "crews" ? `${resp.repair_crews} repair crews (${resp.dispatch_policy})` : "scheduled auto-recovery"}\n` +
         `- Total ticks: ${resp.total_ticks}\n` +
+        (resp.lateral_movement || [])
+          .map((m) => `- Lateral movement: ${m.compromised} assets compromised from ${m.entry_assets.length} entry points (ticks ${m.start_tick + 1}–${m.last_tick + 1})\n`)
+          .join("") +
+        (resp.workforce
+          ? `- Workforce: down to ${resp.workforce.low.availability_pct}% at tick ${resp.workforce.low.tick + 1} (crews and staffed assets scale with it)\n`
+          : "") +
+        `- Random seed: ${resp.random_seed}\n` +
         `Instance ID: ${resp.scenario_instance_id}`,
       extraHTML: `
         <div class="quick-actions" style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap;">
@@ -1803,29 +2892,7 @@ function applyExecuteArtifacts(execResult) {
 
       if (SIM_RUNNING) {
         // init SIM controller (Phase 2)
-        if (a?.data?.sim_run_id) {
-          SIM.sim_run_id = String(a.data.sim_run_id);
-          SIM.scenario_instance_id = String(a.data.scenario_instance_id || "");
-          SIM.total_ticks = Number(a.data.total_ticks || SIM.total_ticks || 0);
-          SIM.current_tick = 0;
-          SIM.max_computed_tick = -1;
-          SIM.max_visited_tick = 0;
-          SIM.cache.clear();
-          SIM.resultsSuggested = false;
-          ASSET_STATUS_BY_ID.clear();
-
-          bindTimelineControlsOnce();
-          setTimelinePlayIcon(true);
-          SIM.playing = true;
-
-          // Ensure range is at 0
-          const els = getTimelineEls();
-          if (els?.range) els.range.value = "0";
-          updateTimelineTitle();
-
-          // Start loop
-          tickLoop();
-        }
+        if (a?.data?.sim_run_id) attachSimRun(a.data);
 
         const simcfg = loadSimcfgFromStorage();
         updateActiveScenarioCard(simcfg);
@@ -2094,6 +3161,46 @@ function initChat() {
       return;
     }
 
+    const mControl = message.match(/^(pause|resume|cancel|stop)\s+run$|^run\s+speed\s+(\d+)$/i);
+    if (mControl) {
+      input.value = "";
+      appendBubble({ role: "user", text: message });
+      await controlCurrentSimRun(mControl);
+      return;
+    }
+
+    const fork = parseForkCommand(message);
+    if (fork) {
+      input.value = "";
+      appendBubble({ role: "user", text: message });
+      await forkCurrentSimRun(fork);
+      return;
+    }
+
+    const intervention = parseInterventionCommand(message);
+    if (intervention) {
+      input.value = "";
+      appendBubble({ role: "user", text: message });
+      await injectIntoCurrentSimRun(intervention);
+      return;
+    }
+
+    const mCompare = message.match(/^compare\s+(?:runs?\s+)?([A-Za-z0-9_-]+)(?:\s+(?:vs\.?\s+|with\s+|and\s+)?([A-Za-z0-9_-]+))?$/i);
+    if (mCompare) {
+      input.value = "";
+      appendBubble({ role: "user", text: message });
+      await compareSimRuns([mCompare[1], mCompare[2]]);
+      return;
+    }
+
+    const mOpenRun = message.match(/^open\s+run\s+([A-Za-z0-9_-]+)$/i);
+    if (mOpenRun) {
+      input.value = "";
+      appendBubble({ role: "user", text: message });
+      await openSavedSimRun(mOpenRun[1]);
+      return;
+    }
+
     if (!message) return;
     if (/^(prep simulation|simulate|prepare simulation|prep sim)$/i.test(message)) {
       // clear input to keep UX consistent
@@ -2326,10 +3433,39 @@ function openSimConfigModal() {
   if (dur && durVal) durVal.textContent = String(dur.value);
   if (tick && tickVal) tickVal.textContent = String(tick.value);
 
+  setSimModalPreviewMode(false);
   overlay.classList.remove("is-hidden");
   canvas.classList.add("map-disabled");
 }
 
+/**
+ * The sim modal either configures a scenario or shows its dry-run preview.
+ */
+function setSimModalPreviewMode(preview) {
+  document.getElementById("simConfigGrid")?.classList.toggle("is-hidden", preview);
+  document.getElementById("simConfigActions")?.classList.toggle("is-hidden", preview);
+  document.getElementById("simPreview")?.classList.toggle("is-hidden", !preview);
+
+  const title = document.getElementById("simModalTitle");
+  const subtitle = document.getElementById("simModalSubtitle");
+  if (title) title.textContent = preview ? "Preview Scenario" : "Configure Simulation";
+  if (subtitle) {
+    subtitle.textContent = preview
+      ? "Nothing is stored yet: adjust the anchors or the footprint radius, then prepare"
+      : "Choose scenario and runtime parameters";
+  }
+}
+
+function openSimPreviewModal(simcfg) {
+  openSimConfigModal();
+  setSimModalPreviewMode(true);
+
+  const radius = document.getElementById("simRadiusScale");
+  const radiusVal = document.getElementById("simRadiusScaleVal");
+  if (radius) radius.value = String(simcfg.radius_scale_pct ?? 100);
+  if (radiusVal) radiusVal.textContent = String(radius?.value ?? 100);
+}
+
 function closeSimConfigModal() {
   const overlay = document.getElementById("simOverlay");
   const canvas = document.querySelector(".canvas");
@@ -2415,9 +3551,47 @@ function wireSimConfigModal() {
   if (dur && durVal) dur.addEventListener("input", () => (durVal.textContent = String(dur.value)));
   if (tick && tickVal) tick.addEventListener("input", () => (tickVal.textContent = String(tick.value)));
 
+  document.getElementById("simScenario")?.addEventListener("change", syncHazardFields);
+  document.getElementById("simFollowUp")?.addEventListener("change", syncHazardFields);
+  syncHazardFields();
+
   const cancel = document.getElementById("simCancel");
   if (cancel) cancel.addEventListener("click", closeSimConfigModal);
 
+  // Preview: the radius applies on "Update preview" / "Prepare scenario"
+  const radius = document.getElementById("simRadiusScale");
+  const radiusVal = document.getElementById("simRadiusScaleVal");
+  if (radius && radiusVal) radius.addEventListener("input", () => (radiusVal.textContent = String(radius.value)));
+  const previewWithRadius = () => {
+    const state = __simPreview;
+    if (state) state.simcfg.radius_scale_pct = Number(radius?.value || 100);
+    return state;
+  };
+
+  document.getElementById("simPreviewCancel")?.addEventListener("click", () => {
+    __simPreview = null;
+    closeSimConfigModal();
+    appendBubble({ role: "bot", text: "Scenario preparation cancelled." });
+  });
+  document.getElementById("simPreviewRefresh")?.addEventListener("click", async () => {
+    const state = previewWithRadius();
+    if (state) await previewScenario(state.simcfg, state.stageAnchors);
+  });
+  document.getElementById("simPreviewRepick")?.addEventListener("click", async () => {
+    const state = previewWithRadius();
+    if (!state) return;
+    closeSimConfigModal();
+    await beginAnchorPickAndPrepare(state.simcfg);
+  });
+  document.getElementById("simPreviewConfirm")?.addEventListener("click", async () => {
+    const state = previewWithRadius();
+    if (!state) return;
+    __simPreview = null;
+    closeSimConfigModal();
+    appendBubble({ role: "bot", text: "Preparing scenario..." });
+    await prepareScenarioNow(state.simcfg, state.stageAnchors);
+  });
+
   const confirm = document.getElementById("simConfirm");
   if (confirm) {
     confirm.addEventListener("click", async () => {
@@ -2425,6 +3599,8 @@ function wireSimConfigModal() {
     const durationHours = Number(document.getElementById("simDuration")?.value || 72);
     const tickMinutes = Number(document.getElementById("simTick")?.value || 10);
     const crews = Number(document.getElementById("simCrews")?.value || 10);
+    const dispatchPolicy = document.getElementById("simDispatch")?.value || "FIFO";
+    const seedRaw = String(document.getElementById("simSeed")?.value || "").trim();
 
     const simcfg = {
       city: localStorage.getItem("ginom.currentCity") || CURRENT_CITY || "",
@@ -2432,8 +3608,25 @@ function wireSimConfigModal() {
       duration_hours: durationHours,
       tick_minutes: tickMinutes,
       repair_crews: crews,
+      dispatch_policy: dispatchPolicy,
+      random_seed: seedRaw === "" ? null : Number(seedRaw),
+      hazard_params: hazardParamsFromModal(scenario),
     };
 
+    // Compound scenario: the follow-up hazard starts later and hits what the first one left standing
+    const followUp = document.getElementById("simFollowUp")?.value || "";
+    if (followUp) {
+      const afterHours = Number(document.getElementById("simFollowUpAfter")?.value || 0);
+      simcfg.stages = [
+        { scenario, start_hours: 0, hazard_params: simcfg.hazard_params },
+        {
+          scenario: followUp,
+          start_hours: Math.max(0, Math.min(durationHours - 1, afterHours)),
+          hazard_params: hazardParamsFromModal(followUp),
+        },
+      ];
+    }
+
     // Persist for later use
     localStorage.setItem("ginom.simcfg", JSON.stringify(simcfg));
 
@@ -2448,7 +3641,7 @@ function wireSimConfigModal() {
           updateActiveScenarioCard(simcfg);
           syncImpactTimelineFromSimcfg(simcfg);
 
-          appendBubble({ role: "bot", text: "Preparing scenario (no execution yet)..." });
+          appendBubble({ role: "bot", text: "Setting up the scenario preview (nothing is stored yet)..." });
           await beginAnchorPickAndPrepare(simcfg);
 
         } catch (e) {